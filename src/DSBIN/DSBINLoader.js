@@ -23,6 +23,7 @@
 
 import DSBINLoaderWorker from 'web-worker:./DSBINLoader.worker';
 import {coreCount} from '../utils/CoreCount';
+import {KrudaError} from '../core/Errors';
 
 /**
  * Minimum number of chunks needed in a file to multi-thread the process.
@@ -50,7 +51,7 @@ export class DSBINLoader {
      * @return {Promise<MemoryBlock>}
      */
     static async loadFromFile(file, heap) {
-        return new Promise(resolve => {
+        return new Promise((resolve, reject) => {
             const header = file.slice(0, 8);
             const reader = new FileReader();
             const chunks = [];
@@ -60,46 +61,51 @@ export class DSBINLoader {
             let uncompressedSize;
             let chunkCount;
 
-            reader.addEventListener('loadend', () => {
-                const view = new DataView(reader.result);
-                if (mode === 0) {
-                    uncompressedSize = view.getUint32(0, true);
-                    chunkCount = view.getUint32(4, true);
-                    mode = 1;
+            reader.addEventListener('loadend', async () => {
+                // errors thrown after the first await would be lost in the listener's promise, reject the load instead
+                try {
+                    const view = new DataView(reader.result);
+                    if (mode === 0) {
+                        uncompressedSize = view.getUint32(0, true);
+                        chunkCount = view.getUint32(4, true);
+                        mode = 1;
 
-                    memory = heap.malloc(uncompressedSize);
+                        memory = await heap.mallocAsync(uncompressedSize, { label: `DSBIN load (${file.name})` });
 
-                    const chunkMeta = file.slice(8, 8 + chunkCount * 8);
-                    reader.readAsArrayBuffer(chunkMeta);
-                } else {
-                    const chunksOffset = chunkCount * 8 + 8;
-                    const address = memory.address;
-                    let chunksCompressedSize = 0;
-                    let chunksUncompressedSize = 0;
-                    let compressedSize;
-                    let compressedOffset;
-                    let blob;
-
-                    for (let i = 0; i < chunkCount; ++i) {
-                        compressedSize = view.getUint32(i * 8 + 4, true);
-                        compressedOffset = chunksOffset + chunksCompressedSize;
-                        blob = file.slice(compressedOffset, compressedOffset + compressedSize);
-                        const chunk = {
-                            compressedBlob: blob,
-
-                            uncompressedSize: view.getUint32(i * 8, true),
-                            uncompressedOffset: address + chunksUncompressedSize,
-                        };
-                        chunksCompressedSize += compressedSize;
-                        chunksUncompressedSize += chunk.uncompressedSize;
-                        chunks.push(chunk);
-                    }
+                        const chunkMeta = file.slice(8, 8 + chunkCount * 8);
+                        reader.readAsArrayBuffer(chunkMeta);
+                    } else {
+                        const chunksOffset = chunkCount * 8 + 8;
+                        const address = memory.address;
+                        let chunksCompressedSize = 0;
+                        let chunksUncompressedSize = 0;
+                        let compressedSize;
+                        let compressedOffset;
+                        let blob;
+
+                        for (let i = 0; i < chunkCount; ++i) {
+                            compressedSize = view.getUint32(i * 8 + 4, true);
+                            compressedOffset = chunksOffset + chunksCompressedSize;
+                            blob = file.slice(compressedOffset, compressedOffset + compressedSize);
+                            const chunk = {
+                                compressedBlob: blob,
+
+                                uncompressedSize: view.getUint32(i * 8, true),
+                                uncompressedOffset: address + chunksUncompressedSize,
+                            };
+                            chunksCompressedSize += compressedSize;
+                            chunksUncompressedSize += chunk.uncompressedSize;
+                            chunks.push(chunk);
+                        }
 
-                    if (chunksCompressedSize !== file.size - chunksOffset || chunksUncompressedSize !== uncompressedSize) {
-                        throw 'ERROR: Chunks sizes are inconsistent';
-                    }
+                        if (chunksCompressedSize !== file.size - chunksOffset || chunksUncompressedSize !== uncompressedSize) {
+                            throw new KrudaError('Chunks sizes are inconsistent');
+                        }
 
-                    this._scheduleBlobLoadingWorkers(chunkCount, chunks, memory.buffer).then(() => resolve(memory));
+                        this._scheduleBlobLoadingWorkers(chunkCount, chunks, memory.buffer).then(() => resolve(memory), reject);
+                    }
+                } catch (e) {
+                    reject(e);
                 }
             });
             reader.readAsArrayBuffer(header);
@@ -134,7 +140,7 @@ export class DSBINLoader {
 
         const totalUncompressedSize = sizesView.getUint32(0, true);
         const chunkCount = sizesView.getUint32(4, true);
-        const memory = heap.malloc(totalUncompressedSize);
+        const memory = await heap.mallocAsync(totalUncompressedSize, { label: `DSBIN load (${url})` });
         const address = memory.address;
 
         const maxWorkerCount = await coreCount();
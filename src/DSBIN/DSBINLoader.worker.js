@@ -23,6 +23,7 @@
 
 import {DSBINInflate} from './DSBINInflate';
 import {Atomize} from '../core/Atomize';
+import {KrudaError} from '../core/Errors';
 
 /**
  * Loads a DSBIN from a set of blobs.
@@ -96,6 +97,6 @@ self.onmessage = async function DSBINLoaderWorkerOnMessage(e) {
         });
         close();
     } else {
-        throw `ERROR: Unrecognized message type ${message.type}`;
+        throw new KrudaError(`Unrecognized message type ${message.type}`);
     }
 };
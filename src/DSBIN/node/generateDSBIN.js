@@ -4,6 +4,14 @@ const path = require('path');
 const cliProgress = require('cli-progress');
 const dekkai = require('dekkai/dist/umd/dekkai');
 const WebCPU = require('webcpu/dist/umd/webcpu').WebCPU;
+const kruda = require('../../../dist/cjs/kruda');
+
+// dekkai's string type
+const kStringType = 0;
+// kruda's timestamp type
+const kTimestampType = kruda.registerBinaryType(kruda.Types.Timestamp);
+// number of rows checked to detect date columns
+const kDateSampleRows = 1000;
 
 function open(file) {
     return new Promise((resolve, reject) => {
@@ -17,22 +25,35 @@ function open(file) {
     });
 }
 
+// encodes a column name as UTF-8, truncated to 255 bytes without splitting characters
+function encodeName(name) {
+    const bytes = Buffer.from(name, 'utf8');
+    if (bytes.length <= 255) {
+        return bytes;
+    }
+
+    let end = 255;
+    while ((bytes[end] & 0xC0) === 0x80) {
+        --end;
+    }
+    return bytes.subarray(0, end);
+}
+
 function buildBinaryHeader(header) {
     const columnCount = header.columns.length;
+    const names = header.columns.map(column => encodeName(column.name));
     let columnNameLength = 0;
 
     for (let i = 0; i < columnCount; ++i) {
-        columnNameLength += Math.min(255, header.columns[i].name.length) + 1;
+        columnNameLength += names[i].length + 1;
     }
 
     const headerLength = 12 * columnCount + columnNameLength + 20;
     const buffer = new ArrayBuffer(headerLength);
     const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
     let nameOffset = 12 * columnCount + 20;
     let offset = 0;
-    let name;
-    let ii;
-    let nn;
 
     view.setUint32(offset, headerLength, true); // header length
     offset += 4;
@@ -59,16 +80,94 @@ function buildBinaryHeader(header) {
         view.setUint32(offset, header.columns[i].type, true);
         offset += 4;
 
-        name = header.columns[i].name;
-        nn = Math.min(255, name.length);
-        view.setUint8(nameOffset++, nn);
+        view.setUint8(nameOffset++, names[i].length);
+        bytes.set(names[i], nameOffset);
+        nameOffset += names[i].length;
+    }
+
+    return buffer;
+}
+
+function readString(view, offset) {
+    const length = view.getUint8(offset);
+    let str = '';
+    for (let i = 0; i < length; ++i) {
+        str += String.fromCharCode(view.getUint8(offset + i + 1));
+    }
+    return str.trim();
+}
 
-        for (ii = 0; ii < nn; ++ii) {
-            view.setUint8(nameOffset++, name.charCodeAt(ii));
+function findDateColumns(header, view, dataOffset) {
+    const sampleRows = Math.min(header.rowCount, kDateSampleRows);
+    return header.columns.filter(column => {
+        if (column.type !== kStringType) {
+            return false;
         }
+
+        let found = false;
+        for (let i = 0; i < sampleRows; ++i) {
+            const str = readString(view, dataOffset + i * header.rowLength + column.offset);
+            if (str.length) {
+                if (isNaN(kruda.Types.Timestamp.parse(str))) {
+                    return false;
+                }
+                found = true;
+            }
+        }
+        return found;
+    });
+}
+
+function convertDateColumns(header, memory, dataOffset, dateColumns) {
+    const columns = header.columns.map(column => {
+        if (dateColumns.indexOf(column) !== -1) {
+            return Object.assign({}, column, { type: kTimestampType, length: 8 });
+        }
+        return Object.assign({}, column);
+    });
+
+    // timestamps go first so they are aligned to 8 bytes
+    const sortedColumns = columns.filter(column => column.type === kTimestampType)
+        .concat(columns.filter(column => column.type !== kTimestampType));
+    let rowLength = 0;
+    for (let i = 0; i < sortedColumns.length; ++i) {
+        sortedColumns[i].offset = rowLength;
+        rowLength += sortedColumns[i].length;
     }
+    rowLength = ((rowLength - 1) | 7) + 1;
 
-    return buffer;
+    const result = Object.assign({}, header, {
+        columns,
+        rowLength,
+        dataLength: rowLength * header.rowCount,
+    });
+
+    const resultHeader = buildBinaryHeader(result);
+    const resultMemory = new SharedArrayBuffer(result.dataLength + resultHeader.byteLength);
+    const resultBytes = new Uint8Array(resultMemory);
+    const resultView = new DataView(resultMemory, resultHeader.byteLength);
+    const view = new DataView(memory, dataOffset);
+    const bytes = new Uint8Array(memory, dataOffset);
+    resultBytes.set(new Uint8Array(resultHeader), 0);
+
+    let source;
+    let target;
+    for (let r = 0; r < header.rowCount; ++r) {
+        for (let i = 0; i < columns.length; ++i) {
+            source = r * header.rowLength + header.columns[i].offset;
+            target = r * rowLength + columns[i].offset;
+            if (columns[i].type === kTimestampType) {
+                resultView.setFloat64(target, kruda.Types.Timestamp.parse(readString(view, source)), true);
+            } else {
+                resultBytes.set(bytes.subarray(source, source + columns[i].length), resultHeader.byteLength + target);
+            }
+        }
+    }
+
+    return {
+        header: result,
+        memory: resultMemory,
+    };
 }
 
 async function main(argv) {
@@ -97,6 +196,10 @@ async function main(argv) {
 
     progressBar.start(1, 0, { task: 'Chunking' });
     const {header, offset} = await DataTools.readHeader(dataFile, config);
+    // dekkai reads the names one byte per character, they are UTF-8
+    header.forEach(column => {
+        column.name = Buffer.from(column.name, 'latin1').toString('utf8');
+    });
     const blobs = await DataTools.sliceFile(dataFile, offset, config);
     progressBar.update(1);
     progressBar.stop();
@@ -108,7 +211,7 @@ async function main(argv) {
 
     progressBar.start(1, 0, { task: 'Merging' });
     const tableHeader = buildBinaryHeader(result.header);
-    const memory = new SharedArrayBuffer(result.header.dataLength + tableHeader.byteLength);
+    let memory = new SharedArrayBuffer(result.header.dataLength + tableHeader.byteLength);
 
     const headerView = new Uint8Array(tableHeader);
     const memoryView = new Uint8Array(memory);
@@ -125,6 +228,15 @@ async function main(argv) {
 
     dekkai.terminate();
 
+    let outputHeader = result.header;
+    const dateColumns = findDateColumns(result.header, new DataView(memory, tableHeader.byteLength), 0);
+    if (dateColumns.length) {
+        progressBar.start(1, 0, { task: 'Converting dates' });
+        ({header: outputHeader, memory} = convertDateColumns(result.header, memory, tableHeader.byteLength, dateColumns));
+        progressBar.update(1);
+        progressBar.stop();
+    }
+
     // 16777216 = 16 MB
     const sizeOf16MB = 16777216;
     const byteLength = memory.byteLength;
@@ -172,7 +284,7 @@ async function main(argv) {
     }
 
     progressBar.start(chunksHeaderSize + totalChunksSize, 0, { task: 'Writing' });
-    fs.writeFile(output + '.json', JSON.stringify(result.header), err => {
+    fs.writeFile(output + '.json', JSON.stringify(outputHeader), err => {
         if (err) {
             progressBar.stop();
             console.log(err);
@@ -21,6 +21,7 @@
  * SOFTWARE.
  */
 import {Pointer} from '../core/Pointer';
+import {Float32} from '../core/Types';
 
 export class Binary {
     constructor(table, result) {
@@ -63,6 +64,43 @@ export class Binary {
     }
 }
 
+export class Embedding {
+    constructor(table, result) {
+        this.mTable = table;
+        this.mResult = result;
+    }
+
+    benchmark() {
+        // the embeddings are stored in the first column as a `Types.array(Float32, 128)`
+        const row = this.mTable.getBinaryRow(0);
+        const getter = row.accessors[0].getter;
+        const rowCount = this.mTable.rowCount;
+        const target = getter();
+        const result = this.mResult.asTypedArray(Float32, 0, rowCount);
+
+        let dot = 0.0;
+        let lengthA = 0.0;
+        let lengthB = 0.0;
+        let embedding;
+
+        for (let i = 0, n = target.length; i < n; ++i) {
+            lengthA = lengthA + target[i] * target[i];
+        }
+
+        for (let i = 0; i < rowCount; ++i) {
+            row.index = i;
+            embedding = getter();
+            dot = 0;
+            lengthB = 0;
+            for (let ii = 0, nn = embedding.length; ii < nn; ++ii) {
+                dot = dot + target[ii] * embedding[ii];
+                lengthB = lengthB + embedding[ii] * embedding[ii];
+            }
+            result[i] = dot / Math.sqrt(lengthA * lengthB);
+        }
+    }
+}
+
 export class ASM {
     constructor(table, result) {
         this.mTable = table;
@@ -0,0 +1,203 @@
+/*
+ * Copyright (c) 2019 Uncharted Software Inc.
+ * http://www.uncharted.software/
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+import {MemoryBlock} from './MemoryBlock';
+
+/**
+ * Class that allocates memory blocks from a heap and keeps track of them so they can all be freed at once.
+ * Useful to manage temporary allocations, memory blocks are freed in the reverse order in which they were allocated,
+ * which lets the heap return most of the memory directly to its stack.
+ * Arenas can be used anywhere a heap is used to allocate memory, for example as the heap of a {@link Filter}.
+ * Usually arenas are created through `Heap.scope` which releases the arena when the scope ends, even if it throws.
+ * @class Arena
+ * @param {Heap|SegmentedHeap} heap - The heap where the memory blocks will be allocated.
+ * @param {Arena=} parent - The arena that will receive the memory blocks escaped from this arena. Defaults to `null`.
+ */
+export class Arena {
+    constructor(heap, parent = null) {
+        this.mHeap = heap;
+        this.mParent = parent;
+        this.mMemoryBlocks = [];
+    }
+
+    /**
+     * The heap where this arena allocates its memory blocks.
+     * @type {Heap|SegmentedHeap}
+     */
+    get heap() {
+        return this.mHeap;
+    }
+
+    /**
+     * The arena that receives the memory blocks escaped from this arena, `null` if escaped blocks are simply untracked.
+     * @type {Arena|null}
+     */
+    get parent() {
+        return this.mParent;
+    }
+
+    /**
+     * Is the memory of the underlying heap shared between threads.
+     * @type {boolean}
+     */
+    get shared() {
+        return this.mHeap.shared;
+    }
+
+    /**
+     * The memory blocks currently tracked by this arena, in allocation order.
+     * WARNING: Do not modify this array.
+     * @type {MemoryBlock[]}
+     */
+    get memoryBlocks() {
+        return this.mMemoryBlocks;
+    }
+
+    /**
+     * Allocates a new memory block in the heap and tracks it in this arena.
+     * @param {number} size - The amount of memory, in bytes, to allocate.
+     * @param {AllocationOptions=} options - Options for the allocation, such as a label for the memory block.
+     * @return {MemoryBlock}
+     */
+    malloc(size, options) {
+        return this.track(this.mHeap.malloc(size, options));
+    }
+
+    /**
+     * Allocates a new memory block in the heap, guarantees that the memory block will be empty and tracks it in this
+     * arena.
+     * @param {number} size - The amount of memory, in bytes, to allocate.
+     * @param {AllocationOptions=} options - Options for the allocation, such as a label for the memory block.
+     * @return {MemoryBlock}
+     */
+    calloc(size, options) {
+        return this.track(this.mHeap.calloc(size, options));
+    }
+
+    /**
+     * Asynchronous version of `malloc`, waits for the heap's lock without blocking the calling thread.
+     * @param {number} size - The amount of memory, in bytes, to allocate.
+     * @param {AllocationOptions=} options - Options for the allocation, such as a label for the memory block.
+     * @return {Promise<MemoryBlock>}
+     */
+    async mallocAsync(size, options) {
+        return this.track(await this.mHeap.mallocAsync(size, options));
+    }
+
+    /**
+     * Asynchronous version of `calloc`, waits for the heap's lock without blocking the calling thread.
+     * @param {number} size - The amount of memory, in bytes, to allocate.
+     * @param {AllocationOptions=} options - Options for the allocation, such as a label for the memory block.
+     * @return {Promise<MemoryBlock>}
+     */
+    async callocAsync(size, options) {
+        return this.track(await this.mHeap.callocAsync(size, options));
+    }
+
+    /**
+     * Frees the specified memory block and stops tracking it.
+     * @param {MemoryBlock} memory - The memory block to free.
+     */
+    free(memory) {
+        this._untrack(memory);
+        memory.free();
+    }
+
+    /**
+     * Asynchronous version of `free`, waits for the heap's lock without blocking the calling thread.
+     * @param {MemoryBlock} memory - The memory block to free.
+     * @return {Promise<void>}
+     */
+    freeAsync(memory) {
+        this._untrack(memory);
+        return memory.heap.freeAsync(memory);
+    }
+
+    /**
+     * Starts tracking a memory block allocated elsewhere, the memory block will be freed when this arena is released.
+     * @param {MemoryBlock|Table|ProxyTable} value - The memory block, or the object owning it, to track.
+     * @return {MemoryBlock|Table|ProxyTable} - The value passed to this function.
+     */
+    track(value) {
+        const memory = value instanceof MemoryBlock ? value : value.memory;
+        if (this.mMemoryBlocks.indexOf(memory) === -1) {
+            this.mMemoryBlocks.push(memory);
+        }
+        return value;
+    }
+
+    /**
+     * Stops tracking the memory block of the specified value so it survives this arena. If this arena has a parent, the
+     * memory block is tracked by the parent instead.
+     * @param {MemoryBlock|Table|ProxyTable} value - The memory block, or the object owning it, to escape.
+     * @return {MemoryBlock|Table|ProxyTable} - The value passed to this function.
+     */
+    escape(value) {
+        const memory = value instanceof MemoryBlock ? value : value.memory;
+        this._untrack(memory);
+        if (this.mParent) {
+            this.mParent.track(memory);
+        }
+        return value;
+    }
+
+    /**
+     * Runs the specified function in a nested scope, see `Heap.scope`. Memory blocks escaped from the nested arena are
+     * tracked by this arena.
+     * @param {function(arena:Arena):*} fn - The function to run.
+     * @return {Promise<*>} - The value returned by `fn`.
+     */
+    async scope(fn) {
+        const arena = new Arena(this.mHeap, this);
+        try {
+            return await fn(arena);
+        } finally {
+            arena.release();
+        }
+    }
+
+    /**
+     * Frees all the memory blocks tracked by this arena, in reverse allocation order. Memory blocks freed without going
+     * through this arena are skipped. The arena can still be used after it is released.
+     */
+    release() {
+        const memoryBlocks = this.mMemoryBlocks;
+        this.mMemoryBlocks = [];
+        for (let i = memoryBlocks.length - 1; i >= 0; --i) {
+            if (memoryBlocks[i].heap) {
+                memoryBlocks[i].free();
+            }
+        }
+    }
+
+    /**
+     * Stops tracking the specified memory block.
+     * @param {MemoryBlock} memory - The memory block to stop tracking.
+     * @private
+     */
+    _untrack(memory) {
+        const index = this.mMemoryBlocks.indexOf(memory);
+        if (index !== -1) {
+            this.mMemoryBlocks.splice(index, 1);
+        }
+    }
+}
@@ -0,0 +1,144 @@
+/*
+ * Copyright (c) 2019 Uncharted Software Inc.
+ * http://www.uncharted.software/
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+import {Atomize} from './Atomize';
+import {SyncPrimitive} from './SyncPrimitive';
+
+/**
+ * The size, in bytes, of a barrier's state.
+ * @type {number}
+ * @private
+ */
+const kBarrierByteSize = 12;
+
+/**
+ * Reusable barrier whose state lives in a heap's memory, so it can be shared between threads. Threads calling `wait`
+ * block until the specified number of threads have reached the barrier, then the barrier resets for its next use.
+ * WARNING: Browsers do not allow blocking the main thread, use `waitAsync` on the main thread.
+ * @class Barrier
+ * @extends SyncPrimitive
+ * @param {MemoryBlock} memory - The memory block containing the state of the barrier.
+ * @param {number=} address - The address, relative to the memory block, of the state. Must be a multiple of 4.
+ */
+export class Barrier extends SyncPrimitive {
+    constructor(memory, address = 0) {
+        super(memory, address, 3);
+    }
+
+    /**
+     * The size, in bytes, needed to store the state of a barrier.
+     * @type {number}
+     */
+    static get byteSize() {
+        return kBarrierByteSize;
+    }
+
+    /**
+     * Allocates the memory for a new barrier in the specified heap.
+     * @param {Heap|SegmentedHeap|Arena} heap - The heap where the barrier will be allocated.
+     * @param {number} parties - The number of threads that must reach the barrier before they are released.
+     * @return {Barrier}
+     */
+    static create(heap, parties) {
+        return Barrier.initialize(heap.malloc(kBarrierByteSize, { label: 'Barrier' }), 0, parties);
+    }
+
+    /**
+     * Initializes a new barrier at the specified address of an existing memory block.
+     * @param {MemoryBlock} memory - The memory block where the barrier will be stored.
+     * @param {number} address - The address, relative to the memory block, of the state. Must be a multiple of 4.
+     * @param {number} parties - The number of threads that must reach the barrier before they are released.
+     * @return {Barrier}
+     */
+    static initialize(memory, address, parties) {
+        /*
+         * State structure
+         * 0 {Int32} - parties
+         * 1 {Int32} - threads still expected in the current generation
+         * 2 {Int32} - generation, incremented every time the barrier releases its threads
+         */
+        const barrier = new Barrier(memory, address);
+        const state = barrier._state();
+        Atomize.store(state, 0, parties);
+        Atomize.store(state, 1, parties);
+        Atomize.store(state, 2, 0);
+        return barrier;
+    }
+
+    /**
+     * The number of threads that must reach the barrier before they are released.
+     * @type {number}
+     */
+    get parties() {
+        return Atomize.load(this._state(), 0);
+    }
+
+    /**
+     * Blocks the calling thread until all the parties have reached the barrier.
+     * @return {boolean} - `true` for the last thread to reach the barrier, `false` for the rest.
+     */
+    wait() {
+        const generation = this._arrive();
+        if (generation === -1) {
+            return true;
+        }
+
+        while (Atomize.load(this._state(), 2) === generation) {
+            this._wait(2, generation);
+        }
+        return false;
+    }
+
+    /**
+     * Waits, without blocking the calling thread, until all the parties have reached the barrier.
+     * @return {Promise<boolean>} - `true` for the last thread to reach the barrier, `false` for the rest.
+     */
+    async waitAsync() {
+        const generation = this._arrive();
+        if (generation === -1) {
+            return true;
+        }
+
+        while (Atomize.load(this._state(), 2) === generation) {
+            await this._waitAsync(2, generation);
+        }
+        return false;
+    }
+
+    /**
+     * Registers the arrival of the calling thread at the barrier. The last thread to arrive resets the barrier and
+     * releases the waiting threads.
+     * @return {number} - The generation the calling thread must wait on, -1 if the calling thread released the barrier.
+     * @private
+     */
+    _arrive() {
+        const state = this._state();
+        const generation = Atomize.load(state, 2);
+        if (Atomize.sub(state, 1, 1) === 1) {
+            Atomize.store(state, 1, Atomize.load(state, 0));
+            Atomize.add(state, 2, 1);
+            this._notify(2, Infinity);
+            return -1;
+        }
+        return generation;
+    }
+}
@@ -0,0 +1,115 @@
+/*
+ * Copyright (c) 2019 Uncharted Software Inc.
+ * http://www.uncharted.software/
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+import {Atomize} from './Atomize';
+import {SyncPrimitive} from './SyncPrimitive';
+
+/**
+ * The size, in bytes, of a condition variable's state.
+ * @type {number}
+ * @private
+ */
+const kConditionVariableByteSize = 4;
+
+/**
+ * Condition variable whose state lives in a heap's memory, so it can be shared between threads. Used together with a
+ * {@link Mutex} to wait until a condition, protected by the mutex, changes.
+ * NOTE: Like most condition variables, waiting threads can wake up spuriously, the condition should be checked again
+ * after `wait` returns.
+ * WARNING: Browsers do not allow blocking the main thread, use `waitAsync` on the main thread.
+ * @class ConditionVariable
+ * @extends SyncPrimitive
+ * @param {MemoryBlock} memory - The memory block containing the state of the condition variable.
+ * @param {number=} address - The address, relative to the memory block, of the state. Must be a multiple of 4.
+ */
+export class ConditionVariable extends SyncPrimitive {
+    constructor(memory, address = 0) {
+        super(memory, address, 1);
+    }
+
+    /**
+     * The size, in bytes, needed to store the state of a condition variable. Zeroed memory is a valid condition
+     * variable.
+     * @type {number}
+     */
+    static get byteSize() {
+        return kConditionVariableByteSize;
+    }
+
+    /**
+     * Allocates the memory for a new condition variable in the specified heap.
+     * @param {Heap|SegmentedHeap|Arena} heap - The heap where the condition variable will be allocated.
+     * @return {ConditionVariable}
+     */
+    static create(heap) {
+        return new ConditionVariable(heap.calloc(kConditionVariableByteSize, { label: 'ConditionVariable' }));
+    }
+
+    /**
+     * Releases the specified mutex and blocks the calling thread until this condition variable is notified, the mutex
+     * is acquired again before returning.
+     * @param {Mutex} mutex - The mutex protecting the condition, must be locked by the calling thread.
+     */
+    wait(mutex) {
+        const sequence = Atomize.load(this._state(), 0);
+        mutex.unlock();
+        try {
+            this._wait(0, sequence);
+        } finally {
+            mutex.lock();
+        }
+    }
+
+    /**
+     * Releases the specified mutex and waits, without blocking the calling thread, until this condition variable is
+     * notified, the mutex is acquired again before returning.
+     * @param {Mutex} mutex - The mutex protecting the condition, must be locked by the calling thread.
+     * @return {Promise<void>}
+     */
+    async waitAsync(mutex) {
+        const sequence = Atomize.load(this._state(), 0);
+        mutex.unlock();
+        try {
+            while (Atomize.load(this._state(), 0) === sequence) {
+                await this._waitAsync(0, sequence);
+            }
+        } finally {
+            await mutex.lockAsync();
+        }
+    }
+
+    /**
+     * Wakes up one of the threads waiting on this condition variable.
+     */
+    notifyOne() {
+        Atomize.add(this._state(), 0, 1);
+        this._notify(0, 1);
+    }
+
+    /**
+     * Wakes up all the threads waiting on this condition variable.
+     */
+    notifyAll() {
+        Atomize.add(this._state(), 0, 1);
+        this._notify(0, Infinity);
+    }
+}
@@ -0,0 +1,120 @@
+/*
+ * Copyright (c) 2019 Uncharted Software Inc.
+ * http://www.uncharted.software/
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Base class for all the errors thrown by kruda.
+ * @class KrudaError
+ * @param {string} message - A description of the error.
+ */
+export class KrudaError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'KrudaError';
+    }
+}
+
+/**
+ * Thrown when a heap does not have enough memory to serve an allocation.
+ * @class KrudaOutOfMemoryError
+ * @param {number} requestedSize - The size, in bytes, of the requested allocation.
+ * @param {number} freeMemory - The free memory, in bytes, in the heap at the moment of the allocation.
+ * @param {number} heapSize - The size, in bytes, of the heap.
+ * @param {string=} message - A description of the error, defaults to a message built from the other parameters.
+ */
+export class KrudaOutOfMemoryError extends KrudaError {
+    constructor(requestedSize, freeMemory, heapSize, message = `Not enough memory in the heap to allocate the requested memory size (${requestedSize} bytes requested, ${freeMemory} of ${heapSize} bytes free)`) {
+        super(message);
+        this.name = 'KrudaOutOfMemoryError';
+        this.requestedSize = requestedSize;
+        this.freeMemory = freeMemory;
+        this.heapSize = heapSize;
+    }
+}
+
+/**
+ * Thrown when memory is managed incorrectly, for example when a memory block is freed twice.
+ * @class KrudaMemoryError
+ * @param {string} message - A description of the error.
+ * @param {number=} address - The address of the memory involved in the error, -1 if not applicable.
+ */
+export class KrudaMemoryError extends KrudaError {
+    constructor(message, address = -1) {
+        super(message);
+        this.name = 'KrudaMemoryError';
+        this.address = address;
+    }
+}
+
+/**
+ * Thrown when an index, address or length falls outside of the valid range.
+ * @class KrudaBoundsError
+ * @param {string} message - A description of the error.
+ * @param {number} value - The offending index, address or length.
+ * @param {number} limit - The exclusive upper limit the value was checked against.
+ */
+export class KrudaBoundsError extends KrudaError {
+    constructor(message, value, limit) {
+        super(message);
+        this.name = 'KrudaBoundsError';
+        this.value = value;
+        this.limit = limit;
+    }
+}
+
+/**
+ * Thrown when the columns of a table do not match what an operation expects, for example an unknown column name.
+ * @class KrudaSchemaError
+ * @param {string} message - A description of the error.
+ * @param {string|null=} column - The name of the column involved in the error, if any.
+ */
+export class KrudaSchemaError extends KrudaError {
+    constructor(message, column = null) {
+        super(message);
+        this.name = 'KrudaSchemaError';
+        this.column = column;
+    }
+}
+
+/**
+ * Thrown when a type, or a value, is not valid for the requested operation.
+ * @class KrudaTypeError
+ * @param {string} message - A description of the error.
+ */
+export class KrudaTypeError extends KrudaError {
+    constructor(message) {
+        super(message);
+        this.name = 'KrudaTypeError';
+    }
+}
+
+/**
+ * Thrown by functionality that is declared but not implemented yet.
+ * @class KrudaNotImplementedError
+ * @param {string=} message - A description of the error. Defaults to 'Not implemented'.
+ */
+export class KrudaNotImplementedError extends KrudaError {
+    constructor(message = 'Not implemented') {
+        super(message);
+        this.name = 'KrudaNotImplementedError';
+    }
+}
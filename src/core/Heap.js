@@ -22,6 +22,10 @@
  */
 import {MemoryBlock} from './MemoryBlock';
 import {Atomize} from './Atomize';
+import {Arena} from './Arena';
+import {readImageFile, writeImageFile} from '../utils/ImageStorage';
+import {KrudaMemoryError, KrudaOutOfMemoryError} from './Errors';
+import {KrudaBoundsError} from './Errors'; // eslint-disable-line no-unused-vars
 
 /**
  * Utility constant for the size of 1KB
@@ -58,6 +62,14 @@ const kHeaderSize = 16;
  */
 const kFreeFlag = 0x1;
 
+/**
+ * The smallest block size, in bytes, the heap allocates. Free blocks need two 32 bit words to store their end address
+ * and the address of the next free block, plus 4 bytes for their padding, rounded up to keep blocks 8 byte aligned.
+ * @type {number}
+ * @private
+ */
+const kMinBlockSize = 16;
+
 /**
  * Max memory heap size in bytes.
  * ArrayBuffer can allocate up to 2GB (early 2019) but asm.js fails to link to 2GB but succeeds with 2GB - 16MB
@@ -66,6 +78,13 @@ const kFreeFlag = 0x1;
  */
 const kMaxHeapSize = kSizeOf1GB * 2 - kSizeOf1MB * 16;
 
+/**
+ * The size, in bytes, of a WebAssembly memory page.
+ * @type {number}
+ * @private
+ */
+const kWebAssemblyPageSize = kSizeOf1KB * 64;
+
 /**
  * The max allocatable memory size, equal to the max size of the heap minus 4 bytes for padding.
  * @type {number}
@@ -73,30 +92,146 @@ const kMaxHeapSize = kSizeOf1GB * 2 - kSizeOf1MB * 16;
  */
 const kMaxAllocSize = kMaxHeapSize - 4;
 
+/**
+ * Magic number at the beginning of heap images, the characters 'KRDA' in little endian.
+ * @type {number}
+ * @private
+ */
+const kImageMagic = 0x4144524B;
+
+/**
+ * Version of the heap image format.
+ * @type {number}
+ * @private
+ */
+const kImageVersion = 2;
+
+/**
+ * Size, in bytes, of the header at the beginning of heap images.
+ * @type {number}
+ * @private
+ */
+const kImageHeaderSize = 24;
+
+/**
+ * Flag set in heap images saved from growable heaps.
+ * @type {number}
+ * @private
+ */
+const kImageGrowableFlag = 0x1;
+
+/**
+ * Default, immutable, allocation options.
+ * @type {AllocationOptions}
+ * @private
+ */
+const kDefaultAllocationOptions = {
+    label: null,
+};
+Object.freeze(kDefaultAllocationOptions);
+
+/**
+ * Creates a byte view over a range of memory in a memory block or a buffer, checking that the range is within bounds.
+ * @param {MemoryBlock|ArrayBuffer|SharedArrayBuffer} memory - The memory block or buffer to view.
+ * @param {number} offset - The offset, in bytes, of the range relative to the memory block or buffer.
+ * @param {number} length - The length, in bytes, of the range.
+ * @return {Uint8Array}
+ * @private
+ */
+function byteRange(memory, offset, length) {
+    const isMemoryBlock = memory instanceof MemoryBlock;
+    /// #if !_DEBUG
+    /*
+    /// #endif
+    const size = isMemoryBlock ? memory.size : memory.byteLength;
+    if (offset < 0 || length < 0 || offset + length > size) {
+        throw new KrudaBoundsError('Memory range out of bounds', offset + length, size);
+    }
+    /// #if !_DEBUG
+     */
+    /// #endif
+    if (isMemoryBlock) {
+        return new Uint8Array(memory.buffer, memory.address + offset, length);
+    }
+    return new Uint8Array(memory, offset, length);
+}
+
+/**
+ * @typedef AllocationOptions
+ * @type {Object}
+ * @property {string|null} [label] - A label describing the owner or purpose of the allocated memory block.
+ */
+
+/**
+ * @typedef HeapLeakGroup
+ * @type {Object}
+ * @property {string|null} label - The label shared by all the memory blocks in this group.
+ * @property {number} count - The number of live memory blocks with this label.
+ * @property {number} bytes - The total size, in bytes, of the live memory blocks with this label.
+ * @property {Array<{address: number, size: number, stack: string|null}>} blocks - The live memory blocks, `stack` is
+ * only available when the heap tracks allocations.
+ */
+
+/**
+ * @typedef HeapImage
+ * @type {Object}
+ * @property {Heap} heap - The restored heap.
+ * @property {Object<string, MemoryBlock>} memoryBlocks - The memory blocks saved in the image's registry, by name.
+ */
+
+/**
+ * @typedef HeapBlockInfo
+ * @type {Object}
+ * @property {number} address - The byte address of the block's memory in the heap.
+ * @property {number} size - The size, in bytes, of the block's memory, not including the block's padding.
+ * @property {boolean} free - Is this block free.
+ * @property {string|null} label - The label of the memory block that owns this block, `null` if the block is free, not
+ * labeled or it was allocated by a different heap instance (another thread).
+ */
+
+/**
+ * @typedef HeapReport
+ * @type {Object}
+ * @property {HeapBlockInfo[]} blocks - All the blocks in the heap sorted by address.
+ * @property {number} size - The size, in bytes, of the heap.
+ * @property {number} usedMemory - The top of the stack, all the memory below it belongs to a block.
+ * @property {number} allocatedBlocks - The number of allocated blocks.
+ * @property {number} allocatedBytes - The total size, in bytes, of the allocated blocks.
+ * @property {number} freeBlocks - The number of free blocks below the top of the stack.
+ * @property {number} freeBytes - The total size, in bytes, of the free blocks below the top of the stack.
+ * @property {number} largestFreeBlock - The largest allocation, in bytes, that can be served without growing the heap.
+ * @property {number} fragmentation - Ratio, from 0 to 1, of free memory that is not part of the largest free block.
+ */
 
 /**
  * Lightweight Heap class used to very naively allocate memory within an ArrayBuffer. Thread safe.
- * Uses a stack approach to memory allocation/deallocation, only when the last memory block in the stack is freed
- * the allocatable memory increases.
+ * Uses a stack approach to memory allocation/deallocation, blocks freed from the top of the stack return their memory
+ * to the stack while blocks freed anywhere else are kept in an address ordered free list, coalesced with their free
+ * neighbours, and reused by subsequent allocations on a first-fit basis.
+ * Heaps backed by a `WebAssembly.Memory` instance grow their memory, up to the maximum size of the WebAssembly memory,
+ * when an allocation does not fit in the available memory.
  * @class Heap
- * @param {ArrayBuffer|SharedArrayBuffer|number} buffer - The buffer to use or the size in bytes to allocate.
+ * @param {ArrayBuffer|SharedArrayBuffer|WebAssembly.Memory|number} buffer - The buffer or WebAssembly memory to use or
+ * the size in bytes to allocate.
  */
 export class Heap {
     constructor(buffer) {
+        this.mWebAssemblyMemory = null;
+
         if (typeof buffer === 'number') {
             /// #if !_DEBUG
             /*
             /// #endif
             if (buffer % 4) {
-                throw 'ERROR: Heap size must be a multiple of 4';
+                throw new KrudaMemoryError('Heap size must be a multiple of 4');
             }
             if (buffer < kSizeOf1MB * 16) {
                 if (buffer <= 1 || (buffer & (buffer - 1))) {
-                    throw 'ERROR: Heap size must be a positive power of 2 when < 16MB';
+                    throw new KrudaMemoryError('Heap size must be a positive power of 2 when < 16MB');
                 }
             } else {
                 if (buffer % (kSizeOf1MB * 16)) {
-                    throw 'ERROR: Heap size must be a multiple of 16MB, when over 16MB';
+                    throw new KrudaMemoryError('Heap size must be a multiple of 16MB, when over 16MB');
                 }
             }
             /// #if !_DEBUG
@@ -111,31 +246,29 @@ export class Heap {
                 this.mShared = false;
             }
 
-            /*
-             * Header structure
-             * 0 {byte} - null
-             * 1 {byte} - reserved
-             * 2 {byte} - reserved
-             * 3 {byte} - reserved
-             * 4 {Uint32} - alloc offset
-             * 8 {Int32} - alloc semaphore
-             * 12 {Uint32} - reserved
-             */
             this.mDataView = new DataView(this.mBuffer);
-            this.mDataView.setUint32(4, kHeaderSize, true);
-            this.mDataView.setInt32(8, 0, true);
-            this.mDataView.setUint32(12, 0xffffffff, true);
+            this._initializeHeader();
+        } else if (typeof WebAssembly !== 'undefined' && buffer instanceof WebAssembly.Memory) {
+            this.mWebAssemblyMemory = buffer;
+            this.mBuffer = buffer.buffer;
+            this.mShared = !(this.mBuffer instanceof ArrayBuffer);
+            this.mDataView = new DataView(this.mBuffer);
+
+            // a zeroed alloc offset means the memory has never been used by a heap
+            if (!this.mDataView.getUint32(4, true)) {
+                this._initializeHeader();
+            }
         } else {
             this.mBuffer = buffer;
             this.mShared = !(buffer instanceof ArrayBuffer);
             this.mDataView = new DataView(this.mBuffer);
         }
 
-
         this.mInt32View = new Int32Array(this.mBuffer, 0, 4);
         this.mUint32View = new Uint32Array(this.mBuffer);
 
         this.mMemoryBlocks = [];
+        this.mTrackAllocations = false;
     }
 
     /**
@@ -178,14 +311,145 @@ export class Heap {
         return kMaxAllocSize;
     }
 
+    /**
+     * Creates a heap backed by a new WebAssembly memory that starts with the specified size and grows on demand.
+     * The memory is shared, and the heap thread safe, if the system supports SharedArrayBuffer and Atomics.
+     * @param {number} size - The initial size of the heap in bytes, rounded up to the WebAssembly page size.
+     * @param {number=} maxSize - The maximum size the heap can grow to in bytes. Defaults to the max heap size.
+     * @return {Heap}
+     */
+    static createGrowable(size, maxSize = kMaxHeapSize) {
+        const memory = new WebAssembly.Memory({
+            initial: Math.ceil(size / kWebAssemblyPageSize),
+            maximum: Math.ceil(maxSize / kWebAssemblyPageSize),
+            shared: typeof SharedArrayBuffer !== 'undefined' && typeof Atomics !== 'undefined',
+        });
+        return new Heap(memory);
+    }
+
+    /**
+     * Restores a heap saved with `saveImage`. The memory blocks in the image's registry are recreated in the new heap,
+     * tables saved in the image can be reopened by passing their memory block to the `Table` constructor.
+     * When running in node.js a string `source` is a file path, in the browser it is the name of a file in the origin
+     * private file system (OPFS). `FileSystemFileHandle`, `Blob`, `File` and `ArrayBuffer` instances are also accepted.
+     * @param {string|FileSystemFileHandle|Blob|ArrayBuffer} source - The image to restore.
+     * @return {Promise<HeapImage>}
+     */
+    static async fromImage(source) {
+        const image = await readImageFile(source);
+        const view = new DataView(image);
+        if (image.byteLength < kImageHeaderSize || view.getUint32(0, true) !== kImageMagic) {
+            throw new KrudaMemoryError('Invalid heap image');
+        }
+
+        if (view.getUint32(4, true) !== kImageVersion) {
+            throw new KrudaMemoryError(`Unsupported heap image version (${view.getUint32(4, true)})`);
+        }
+
+        const size = view.getUint32(8, true);
+        const usedMemory = view.getUint32(12, true);
+        const flags = view.getUint32(16, true);
+        const registryLength = view.getUint32(20, true);
+        const dataOffset = kImageHeaderSize + ((registryLength + 3) & ~0x03);
+        const registry = JSON.parse(new TextDecoder().decode(new Uint8Array(image, kImageHeaderSize, registryLength)));
+
+        let heap;
+        if (flags & kImageGrowableFlag) {
+            heap = Heap.createGrowable(size);
+        } else if (typeof SharedArrayBuffer !== 'undefined' && typeof Atomics !== 'undefined') {
+            heap = new Heap(new SharedArrayBuffer(size));
+        } else {
+            heap = new Heap(new ArrayBuffer(size));
+        }
+
+        new Uint8Array(heap.buffer).set(new Uint8Array(image, dataOffset, usedMemory));
+        // the image is taken while holding the lock
+        heap.dataView.setInt32(8, 0, true);
+
+        const memoryBlocks = {};
+        const names = Object.keys(registry);
+        for (let i = 0, n = names.length; i < n; ++i) {
+            const entry = registry[names[i]];
+            memoryBlocks[names[i]] = new MemoryBlock(heap, entry.address, entry.size);
+            memoryBlocks[names[i]].label = entry.label;
+        }
+
+        return {
+            heap,
+            memoryBlocks,
+        };
+    }
+
+    /**
+     * Copies bytes from one memory block to another, the memory blocks can belong to different heaps. Raw buffers are
+     * also accepted as source and destination, which makes this function usable in workers that only received buffers.
+     * The source and destination ranges should not overlap, use `move` for overlapping ranges.
+     * @param {MemoryBlock|ArrayBuffer|SharedArrayBuffer} dst - The memory to copy the bytes to.
+     * @param {number} dstOffset - The offset, in bytes, in `dst` where the bytes will be copied to.
+     * @param {MemoryBlock|ArrayBuffer|SharedArrayBuffer} src - The memory to copy the bytes from.
+     * @param {number} srcOffset - The offset, in bytes, in `src` where the bytes will be copied from.
+     * @param {number} length - The number of bytes to copy.
+     */
+    static copy(dst, dstOffset, src, srcOffset, length) {
+        byteRange(dst, dstOffset, length).set(byteRange(src, srcOffset, length));
+    }
+
+    /**
+     * Sets the specified number of bytes in a memory block, or buffer, to the specified value.
+     * @param {MemoryBlock|ArrayBuffer|SharedArrayBuffer} dst - The memory to fill.
+     * @param {number} dstOffset - The offset, in bytes, in `dst` where the bytes will be set.
+     * @param {number} value - The byte value to set, from 0 to 255.
+     * @param {number} length - The number of bytes to set.
+     */
+    static fill(dst, dstOffset, value, length) {
+        byteRange(dst, dstOffset, length).fill(value);
+    }
+
+    /**
+     * Copies bytes from one memory block to another, the source and destination ranges can overlap, for example when
+     * moving data within the same memory block.
+     * @param {MemoryBlock|ArrayBuffer|SharedArrayBuffer} dst - The memory to move the bytes to.
+     * @param {number} dstOffset - The offset, in bytes, in `dst` where the bytes will be moved to.
+     * @param {MemoryBlock|ArrayBuffer|SharedArrayBuffer} src - The memory to move the bytes from.
+     * @param {number} srcOffset - The offset, in bytes, in `src` where the bytes will be moved from.
+     * @param {number} length - The number of bytes to move.
+     */
+    static move(dst, dstOffset, src, srcOffset, length) {
+        const dstRange = byteRange(dst, dstOffset, length);
+        const srcRange = byteRange(src, srcOffset, length);
+        if (dstRange.buffer === srcRange.buffer) {
+            const bytes = new Uint8Array(dstRange.buffer);
+            bytes.copyWithin(dstRange.byteOffset, srcRange.byteOffset, srcRange.byteOffset + length);
+        } else {
+            dstRange.set(srcRange);
+        }
+    }
+
     /**
      * The memory buffer managed by this heap.
      * @type {ArrayBuffer|SharedArrayBuffer}
      */
     get buffer() {
+        this._syncWebAssemblyMemory();
         return this.mBuffer;
     }
 
+    /**
+     * The WebAssembly memory backing this heap, null if the heap is not growable.
+     * @type {WebAssembly.Memory|null}
+     */
+    get webAssemblyMemory() {
+        return this.mWebAssemblyMemory;
+    }
+
+    /**
+     * Can this heap grow when it runs out of memory.
+     * @type {boolean}
+     */
+    get growable() {
+        return Boolean(this.mWebAssemblyMemory);
+    }
+
     /**
      * Is the buffer in this heap an instance of SharedArrayBuffer
      * @type {boolean}
@@ -211,17 +475,18 @@ export class Heap {
         /*
         /// #endif
         if (!this.mBuffer) {
-            throw 'ERROR: Heap buffer not yet initialized';
+            throw new KrudaMemoryError('Heap buffer not yet initialized');
         }
         /// #if !_DEBUG
          */
         /// #endif
-        return this.mBuffer.byteLength;
+        return this.buffer.byteLength;
     }
 
     /**
      * Total memory used.
-     * Freeing a memory block does not guarantee that this number will increase.
+     * Freeing a memory block does not guarantee that this number will decrease, memory freed below the top of the
+     * stack is kept in the free list and reused by subsequent allocations.
      * @type {number}
      */
     get usedMemory() {
@@ -233,7 +498,7 @@ export class Heap {
      * @type {number}
      */
     get freeMemory() {
-        return this.mBuffer.byteLength - this.usedMemory;
+        return this.buffer.byteLength - this.usedMemory;
     }
 
     /**
@@ -244,196 +509,883 @@ export class Heap {
         return Atomize.load(this.mUint32View, 1);
     }
 
+    /**
+     * Should this heap record the call stack of each allocation. Recorded stacks are reported by `reportLeaks`.
+     * WARNING: Recording call stacks is slow, this option is meant to be used while debugging.
+     * @type {boolean}
+     */
+    get trackAllocations() {
+        return this.mTrackAllocations;
+    }
+    set trackAllocations(value) {
+        this.mTrackAllocations = Boolean(value);
+    }
+
     /**
      * Allocates a new memory block.
-     * The allocated memory is rounded up to the nearest multiple of 4 and padded by 4 bytes at the end of the block.
+     * The allocated memory is padded by 4 bytes at the end of the block and rounded up so the block size is a multiple
+     * of 8, memory blocks always start at addresses aligned to 8 bytes.
+     * Free blocks large enough to hold the requested size are reused before growing the stack.
      * @param {number} size - The amount of memory, in bytes, to allocate.
+     * @param {AllocationOptions=} options - Options for the allocation, such as a label for the memory block.
      * @return {MemoryBlock}
      */
-    malloc(size) {
-        /*
-         * Memory layout:
-         * 4|n {byte} - allocated memory
-         * 4|n + 1 {uint32} - allocated memory
-         */
-        const blockSize = ((size + 3) | 3) + 1;
+    malloc(size, options = kDefaultAllocationOptions) {
+        const memory = this._tryMalloc(size, options);
+        if (!memory) {
+            throw new KrudaOutOfMemoryError(size, this.freeMemory, this.size);
+        }
+        return memory;
+    }
+
+    /**
+     * Allocates a new memory block and guarantees that the memory block will be empty.
+     * @param {number} size - The amount of memory, in bytes, to allocate.
+     * @param {AllocationOptions=} options - Options for the allocation, such as a label for the memory block.
+     * @return {MemoryBlock}
+     */
+    calloc(size, options = kDefaultAllocationOptions) {
+        const memory = this.malloc(size, options);
+        const arr = new Uint32Array(this.mBuffer, memory.address, memory.size >> 2);
+        arr.fill(0);
+        return memory;
+    }
+
+    /**
+     * Asynchronous version of `malloc`, waits for the heap's lock without blocking the calling thread. Should be used
+     * on threads where blocking is not allowed, such as the browser's main thread.
+     * @param {number} size - The amount of memory, in bytes, to allocate.
+     * @param {AllocationOptions=} options - Options for the allocation, such as a label for the memory block.
+     * @return {Promise<MemoryBlock>}
+     */
+    async mallocAsync(size, options = kDefaultAllocationOptions) {
+        const memory = await this._tryMallocAsync(size, options);
+        if (!memory) {
+            throw new KrudaOutOfMemoryError(size, this.freeMemory, this.size);
+        }
+        return memory;
+    }
+
+    /**
+     * Asynchronous version of `calloc`, waits for the heap's lock without blocking the calling thread. Should be used
+     * on threads where blocking is not allowed, such as the browser's main thread.
+     * @param {number} size - The amount of memory, in bytes, to allocate.
+     * @param {AllocationOptions=} options - Options for the allocation, such as a label for the memory block.
+     * @return {Promise<MemoryBlock>}
+     */
+    async callocAsync(size, options = kDefaultAllocationOptions) {
+        const memory = await this.mallocAsync(size, options);
+        const arr = new Uint32Array(this.mBuffer, memory.address, memory.size >> 2);
+        arr.fill(0);
+        return memory;
+    }
+
+    /**
+     * Frees the specified memory block. If the block is at the top of the memory stack its memory is returned to the
+     * stack, otherwise it is added to the free list, coalesced with any adjacent free blocks, and made available to
+     * future allocations.
+     * @param {MemoryBlock} memory - The memory block to free.
+     */
+    free(memory) {
+        this._lock();
+        this._free(memory);
+    }
+
+    /**
+     * Asynchronous version of `free`, waits for the heap's lock without blocking the calling thread. Should be used on
+     * threads where blocking is not allowed, such as the browser's main thread.
+     * @param {MemoryBlock} memory - The memory block to free.
+     * @return {Promise<void>}
+     */
+    async freeAsync(memory) {
+        await this._lockAsync();
+        this._free(memory);
+    }
+
+    /**
+     * Shrinks the specified memory block to the specified size. The reclaimed memory is returned to the stack or to
+     * the free list, remainders too small to be tracked by the free list are left in the block.
+     * @param {MemoryBlock} memory - The memory block to shrink.
+     * @param {number} size - The new memory size for the block, must be smaller than the its current size.
+     */
+    shrink(memory, size) {
+        const newSize = this._shrinkBlockSize(memory, size);
+        if (newSize < memory.size) {
+            this._lock();
+            this._shrink(memory, newSize);
+        }
+    }
+
+    /**
+     * Asynchronous version of `shrink`, waits for the heap's lock without blocking the calling thread. Should be used on
+     * threads where blocking is not allowed, such as the browser's main thread.
+     * @param {MemoryBlock} memory - The memory block to shrink.
+     * @param {number} size - The new memory size for the block, must be smaller than the its current size.
+     * @return {Promise<void>}
+     */
+    async shrinkAsync(memory, size) {
+        const newSize = this._shrinkBlockSize(memory, size);
+        if (newSize < memory.size) {
+            await this._lockAsync();
+            this._shrink(memory, newSize);
+        }
+    }
+
+    /**
+     * Changes the size of the specified memory block. Blocks are grown in place when they are at the top of the stack
+     * or followed by a free block big enough to hold the new size, otherwise their contents are moved to a new block
+     * and the old block is released. Smaller sizes are forwarded to `shrink`.
+     * The same memory block instance is updated and returned, its relocation listeners are invoked if it was moved.
+     * WARNING: Other memory block instances pointing at the same memory, for example in a different thread, are not
+     * updated and must not be used after the memory block is moved.
+     * @param {MemoryBlock} memory - The memory block to resize.
+     * @param {number} size - The new size, in bytes, for the memory block.
+     * @return {MemoryBlock}
+     */
+    realloc(memory, size) {
+        if (size <= memory.size) {
+            if (size < memory.size) {
+                this.shrink(memory, size);
+            }
+            return memory;
+        }
+
+        const blockSize = this._blockSize(size);
+        const address = memory.address;
+        const endAddress = address + memory.size + 4;
+        let newEndAddress = address + blockSize;
+
+        this._lock();
+
         /// #if !_DEBUG
         /*
         /// #endif
-        if (blockSize - 4 > kMaxAllocSize) {
-            throw `ERROR: Heap allocations cannot be bigger than ${kMaxAllocSize} bytes`;
+        if (this._isMarkedFree(endAddress - 4)) {
+            this._unlock();
+            throw new KrudaMemoryError('Trying to reallocate a memory block that has already been freed', address);
         }
         /// #if !_DEBUG
          */
         /// #endif
 
-        let lockState = 1;
-        while (lockState) {
-            lockState = Atomize.compareExchange(this.mInt32View, 2, 0, 1);
-            if (lockState) {
-                Atomize.wait(this.mInt32View, 2, 1);
+        if (endAddress === this.allocOffset) {
+            const needed = newEndAddress - endAddress;
+            if (needed <= this.freeMemory || this._grow(needed - this.freeMemory)) {
+                Atomize.store(this.mUint32View, 1, newEndAddress);
+                Atomize.store(this.mUint32View, (newEndAddress >> 2) - 1, address);
+                this._unlock();
+                memory._setSize(newEndAddress - address - 4);
+                return memory;
+            }
+        } else {
+            let previous = 0;
+            let next = Atomize.load(this.mUint32View, 3);
+            while (next && next < endAddress) {
+                previous = next;
+                next = this._readFreeBlockNext(next);
+            }
+
+            if (next === endAddress && this._readFreeBlockEnd(next) >= newEndAddress) {
+                const freeBlockEnd = this._readFreeBlockEnd(next);
+                const freeBlockNext = this._readFreeBlockNext(next);
+                if (freeBlockEnd - newEndAddress >= kMinBlockSize) {
+                    this._writeFreeBlock(newEndAddress, freeBlockEnd, freeBlockNext);
+                    this._linkFreeBlock(previous, newEndAddress);
+                } else {
+                    this._linkFreeBlock(previous, freeBlockNext);
+                    newEndAddress = freeBlockEnd;
+                }
+                Atomize.store(this.mUint32View, (newEndAddress >> 2) - 1, address);
+                this._unlock();
+                memory._setSize(newEndAddress - address - 4);
+                return memory;
+            }
+        }
+
+        const newMemory = this._allocate(blockSize);
+        if (!newMemory) {
+            this._unlock();
+            throw new KrudaOutOfMemoryError(size, this.freeMemory, this.size);
+        }
+
+        const bytes = new Uint8Array(this.mBuffer);
+        bytes.copyWithin(newMemory.address, address, endAddress - 4);
+        this._releaseBlock(address, endAddress);
+
+        this._unlock();
+
+        const newSize = newMemory.size;
+        memory._relocate(newMemory.address);
+        memory._setSize(newSize);
+        newMemory._destroy();
+        memory._notifyRelocation(address);
+
+        return memory;
+    }
+
+    /**
+     * Compacts the heap by sliding the live memory blocks down, towards the beginning of the heap, and returning all
+     * the reclaimed memory to the top of the stack.
+     * Only memory blocks allocated through this heap instance (the ones tracked in its registry) can be moved, live
+     * blocks allocated through other instances, for example in a different thread, stay in place. Moved blocks are
+     * updated with their new address and their relocation listeners are invoked once the heap is compacted.
+     * Tables, rows, pointers and pointer based byte strings address memory relative to their memory blocks and remain
+     * valid after the heap is compacted. Synchronization primitives and byte strings created with
+     * `ByteString.fromMemoryBlock` listen to their memory blocks and follow them. Other objects holding absolute
+     * addresses, such as byte strings created with `ByteString.fromBuffer` and typed array views returned by
+     * `MemoryBlock.asTypedArray` or `Column.values`, must be recreated.
+     * WARNING: No other thread should access the memory in this heap while it's being compacted.
+     * @return {number} - The number of bytes returned to the top of the stack.
+     */
+    compact() {
+        const memoryBlocks = new Map();
+        for (let i = 0, n = this.mMemoryBlocks.length; i < n; ++i) {
+            const address = this.mMemoryBlocks[i].address;
+            if (!memoryBlocks.has(address)) {
+                memoryBlocks.set(address, []);
+            }
+            memoryBlocks.get(address).push(this.mMemoryBlocks[i]);
+        }
+
+        this._lock();
+
+        const previousAllocOffset = this.allocOffset;
+        const blocks = [];
+        let blockEnd = previousAllocOffset;
+        let blockStart;
+        let padding;
+        while (blockEnd > kHeaderSize) {
+            padding = Atomize.load(this.mUint32View, (blockEnd >> 2) - 1);
+            blockStart = padding & ~kFreeFlag;
+            if (!(padding & kFreeFlag)) {
+                blocks.push(blockStart, blockEnd);
+            }
+            blockEnd = blockStart;
+        }
+
+        const bytes = new Uint8Array(this.mBuffer);
+        const relocated = [];
+        let lastFreeBlock = 0;
+        let offset = kHeaderSize;
+        let owners;
+
+        Atomize.store(this.mUint32View, 3, 0);
+        for (let i = blocks.length - 2; i >= 0; i -= 2) {
+            blockStart = blocks[i];
+            blockEnd = blocks[i + 1];
+            owners = memoryBlocks.get(blockStart);
+
+            if (!owners) {
+                if (blockStart - offset >= kMinBlockSize) {
+                    this._writeFreeBlock(offset, blockStart, 0);
+                    this._linkFreeBlock(lastFreeBlock, offset);
+                    lastFreeBlock = offset;
+                } else if (blockStart > offset) {
+                    // too small to be tracked in the free list, it will be reclaimed by the next compaction
+                    Atomize.store(this.mUint32View, (blockStart >> 2) - 1, offset | kFreeFlag);
+                }
+                offset = blockEnd;
+            } else {
+                if (blockStart !== offset) {
+                    bytes.copyWithin(offset, blockStart, blockEnd - 4);
+                    Atomize.store(this.mUint32View, ((offset + blockEnd - blockStart) >> 2) - 1, offset);
+                    for (let ii = 0, nn = owners.length; ii < nn; ++ii) {
+                        relocated.push(owners[ii], owners[ii]._relocate(offset));
+                    }
+                }
+                offset += blockEnd - blockStart;
+            }
+        }
+        Atomize.store(this.mUint32View, 1, offset);
+
+        this._unlock();
+
+        for (let i = 0, n = relocated.length; i < n; i += 2) {
+            relocated[i]._notifyRelocation(relocated[i + 1]);
+        }
+
+        return previousAllocOffset - offset;
+    }
+
+    /**
+     * Runs the specified function with an {@link Arena} allocating from this heap. All the memory blocks allocated
+     * through the arena are freed when the function returns, or throws, except the ones escaped through `arena.escape`.
+     * @param {function(arena:Arena):*} fn - The function to run, can be async.
+     * @return {Promise<*>} - The value returned by `fn`.
+     */
+    async scope(fn) {
+        const arena = new Arena(this);
+        try {
+            return await fn(arena);
+        } finally {
+            arena.release();
+        }
+    }
+
+    /**
+     * Saves the used portion of this heap, and a registry of named memory blocks, to persistent storage so it can be
+     * restored in a later session with `Heap.fromImage`. Tables can be added to the registry directly, their memory
+     * block is saved.
+     * When running in node.js a string `destination` is a file path, in the browser it is the name of a file in the
+     * origin private file system (OPFS), a `FileSystemFileHandle` is also accepted. If `destination` is `null` the
+     * image is not written and only returned.
+     * @param {string|FileSystemFileHandle|null} destination - Where to save the image.
+     * @param {Object<string, MemoryBlock|Table>=} registry - The memory blocks, or tables, to save in the image by name.
+     * @return {Promise<ArrayBuffer>} - The saved image.
+     */
+    async saveImage(destination, registry = {}) {
+        const entries = {};
+        const names = Object.keys(registry);
+        for (let i = 0, n = names.length; i < n; ++i) {
+            const memory = registry[names[i]] instanceof MemoryBlock ? registry[names[i]] : registry[names[i]].memory;
+            if (!memory || memory.heap !== this) {
+                throw new KrudaMemoryError(`Only memory blocks in this heap can be saved in its image (${names[i]})`);
+            }
+            entries[names[i]] = {
+                address: memory.address,
+                size: memory.size,
+                label: memory.label,
+            };
+        }
+
+        const registryBytes = new TextEncoder().encode(JSON.stringify(entries));
+        const dataOffset = kImageHeaderSize + ((registryBytes.byteLength + 3) & ~0x03);
+
+        await this._lockAsync();
+
+        const usedMemory = this.allocOffset;
+        const image = new ArrayBuffer(dataOffset + usedMemory);
+        const view = new DataView(image);
+
+        /*
+         * Image structure
+         * 0 {Uint32} - magic number
+         * 4 {Uint32} - image format version
+         * 8 {Uint32} - heap size
+         * 12 {Uint32} - used memory, the size of the heap data saved in the image
+         * 16 {Uint32} - flags
+         * 20 {Uint32} - registry length
+         * 24 {byte[]} - registry, JSON encoded, padded to a multiple of 4
+         * ... {byte[]} - heap data
+         */
+        view.setUint32(0, kImageMagic, true);
+        view.setUint32(4, kImageVersion, true);
+        view.setUint32(8, this.mBuffer.byteLength, true);
+        view.setUint32(12, usedMemory, true);
+        view.setUint32(16, this.mWebAssemblyMemory ? kImageGrowableFlag : 0, true);
+        view.setUint32(20, registryBytes.byteLength, true);
+
+        const bytes = new Uint8Array(image);
+        bytes.set(registryBytes, kImageHeaderSize);
+        bytes.set(new Uint8Array(this.mBuffer, 0, usedMemory), dataOffset);
+
+        this._unlock();
+
+        if (destination !== null) {
+            await writeImageFile(destination, bytes);
+        }
+
+        return image;
+    }
+
+    /**
+     * Walks the block chain in this heap and returns a report describing each block and the state of the heap's free
+     * memory. Useful to debug memory leaks and fragmentation.
+     * NOTE: Labels are only available for memory blocks allocated, or deserialized, in the calling thread.
+     * @return {HeapReport}
+     */
+    inspect() {
+        const labels = new Map();
+        for (let i = 0, n = this.mMemoryBlocks.length; i < n; ++i) {
+            if (this.mMemoryBlocks[i].label !== null) {
+                labels.set(this.mMemoryBlocks[i].address, this.mMemoryBlocks[i].label);
+            }
+        }
+
+        const report = {
+            blocks: [],
+            size: 0,
+            usedMemory: 0,
+            allocatedBlocks: 0,
+            allocatedBytes: 0,
+            freeBlocks: 0,
+            freeBytes: 0,
+            largestFreeBlock: 0,
+            fragmentation: 0,
+        };
+
+        this._lock();
+
+        report.size = this.size;
+        report.usedMemory = this.allocOffset;
+
+        let blockEnd = report.usedMemory;
+        let blockStart;
+        let padding;
+        let free;
+        let size;
+        while (blockEnd > kHeaderSize) {
+            padding = Atomize.load(this.mUint32View, (blockEnd >> 2) - 1);
+            blockStart = padding & ~kFreeFlag;
+            free = Boolean(padding & kFreeFlag);
+            size = blockEnd - blockStart - 4;
+            report.blocks.push({
+                address: blockStart,
+                size,
+                free,
+                label: free ? null : labels.get(blockStart) || null,
+            });
+
+            if (free) {
+                ++report.freeBlocks;
+                report.freeBytes += size;
+                report.largestFreeBlock = Math.max(report.largestFreeBlock, size);
+            } else {
+                ++report.allocatedBlocks;
+                report.allocatedBytes += size;
+            }
+            blockEnd = blockStart;
+        }
+
+        this._unlock();
+
+        report.blocks.reverse();
+
+        const stackFreeMemory = Math.max(0, report.size - report.usedMemory - 4);
+        const totalFreeMemory = report.freeBytes + stackFreeMemory;
+        report.largestFreeBlock = Math.max(report.largestFreeBlock, stackFreeMemory);
+        report.fragmentation = totalFreeMemory ? 1 - report.largestFreeBlock / totalFreeMemory : 0;
+
+        return report;
+    }
+
+    /**
+     * Lists all the memory blocks still alive in this heap grouped by their label, groups are sorted by the total
+     * number of bytes they hold, largest first. Memory blocks allocated without a label are grouped under `null`.
+     * NOTE: Only memory blocks allocated, or deserialized, in the calling thread are reported.
+     * @return {HeapLeakGroup[]}
+     */
+    reportLeaks() {
+        const groups = new Map();
+        for (let i = 0, n = this.mMemoryBlocks.length; i < n; ++i) {
+            const memory = this.mMemoryBlocks[i];
+            if (!groups.has(memory.label)) {
+                groups.set(memory.label, {
+                    label: memory.label,
+                    count: 0,
+                    bytes: 0,
+                    blocks: [],
+                });
             }
+
+            const group = groups.get(memory.label);
+            ++group.count;
+            group.bytes += memory.size;
+            group.blocks.push({
+                address: memory.address,
+                size: memory.size,
+                stack: memory.allocationStack,
+            });
         }
 
+        return Array.from(groups.values()).sort((a, b) => b.bytes - a.bytes);
+    }
+
+    /**
+     * Allocates a new memory block, returns `null` instead of throwing when the heap does not have enough memory.
+     * @param {number} size - The amount of memory, in bytes, to allocate.
+     * @param {AllocationOptions=} options - Options for the allocation, such as a label for the memory block.
+     * @return {MemoryBlock|null}
+     * @private
+     */
+    _tryMalloc(size, options = kDefaultAllocationOptions) {
+        const blockSize = this._blockSize(size);
+        this._lock();
+        const memory = this._allocate(blockSize);
+        this._unlock();
+        return this._initializeMemoryBlock(memory, options);
+    }
+
+    /**
+     * Asynchronous version of `_tryMalloc`, waits for the heap's lock without blocking the calling thread.
+     * @param {number} size - The amount of memory, in bytes, to allocate.
+     * @param {AllocationOptions=} options - Options for the allocation, such as a label for the memory block.
+     * @return {Promise<MemoryBlock|null>}
+     * @private
+     */
+    async _tryMallocAsync(size, options = kDefaultAllocationOptions) {
+        const blockSize = this._blockSize(size);
+        await this._lockAsync();
+        const memory = this._allocate(blockSize);
+        this._unlock();
+        return this._initializeMemoryBlock(memory, options);
+    }
+
+    /**
+     * Computes the size of the block needed to allocate the specified amount of memory, including its padding.
+     * @param {number} size - The amount of memory, in bytes, to allocate.
+     * @return {number}
+     * @private
+     */
+    _blockSize(size) {
+        /*
+         * Memory layout:
+         * 8|n - 4 {byte} - allocated memory
+         * 8|n - 4 + 1 {uint32} - padding
+         */
+        const blockSize = Math.max(((size + 3) | 7) + 1, kMinBlockSize);
         /// #if !_DEBUG
         /*
         /// #endif
-        if (blockSize > this.freeMemory) {
-            Atomize.store(this.mInt32View, 2, 0);
-            Atomize.notify(this.mInt32View, 2, 1);
-            throw `ERROR: Not enough memory in the heap to allocate the requested memory size (${size} bytes)`;
+        if (blockSize - 4 > kMaxAllocSize) {
+            throw new KrudaOutOfMemoryError(size, kMaxAllocSize, kMaxHeapSize, `Heap allocations cannot be bigger than ${kMaxAllocSize} bytes`);
         }
         /// #if !_DEBUG
          */
         /// #endif
-
-        let address;
-        address = Atomize.add(this.mUint32View, 1, blockSize);
-        Atomize.store(this.mUint32View, ((address + blockSize) >> 2) - 1, address);
-
-        Atomize.store(this.mInt32View, 2, 0);
-        Atomize.notify(this.mInt32View, 2, 1);
-
-        return new MemoryBlock(this, address, blockSize - 4);
+        return blockSize;
     }
 
     /**
-     * Allocates a new memory block and guarantees that the memory block will be empty.
-     * @param {number} size - The amount of memory, in bytes, to allocate.
-     * @return {MemoryBlock}
+     * Applies the allocation options to a newly allocated memory block.
+     * @param {MemoryBlock|null} memory - The newly allocated memory block, `null` if the allocation failed.
+     * @param {AllocationOptions} options - Options for the allocation.
+     * @return {MemoryBlock|null} - The memory block passed to this function.
+     * @private
      */
-    calloc(size) {
-        const memory = this.malloc(size);
-        const arr = new Uint32Array(this.mBuffer, memory.address, memory.size >> 2);
-        arr.fill(0);
+    _initializeMemoryBlock(memory, options) {
+        if (memory) {
+            memory.label = options.label || null;
+            if (this.mTrackAllocations) {
+                memory._setAllocationStack(new Error().stack);
+            }
+        }
         return memory;
     }
 
     /**
-     * Frees the specified memory block. Memory is not reusable until the memory stack can be reduced by freeing the
-     * last allocated memory block.
+     * Frees the specified memory block. Must be called while holding the heap's lock, the lock is released by this
+     * function.
      * @param {MemoryBlock} memory - The memory block to free.
+     * @private
      */
-    free(memory) {
+    _free(memory) {
         const paddingAddress = memory.address + memory.size;
         const endAddress = paddingAddress + 4;
 
-        let lockState = 1;
-        while (lockState) {
-            lockState = Atomize.compareExchange(this.mInt32View, 2, 0, 1);
-            if (lockState) {
-                Atomize.wait(this.mInt32View, 2, 1);
-            }
-        }
-
         /// #if !_DEBUG
         /*
         /// #endif
         if (this._isMarkedFree(paddingAddress)) {
-            throw 'ERROR: Trying to free a memory block that has already been freed';
+            this._unlock();
+            throw new KrudaMemoryError('Trying to free a memory block that has already been freed', memory.address);
         }
         /// #if !_DEBUG
          */
         /// #endif
 
-        Atomize.or(this.mUint32View, paddingAddress >> 2, kFreeFlag);
+        this._releaseBlock(memory.address, endAddress);
 
-        if (this.allocOffset === endAddress) {
-            Atomize.store(this.mUint32View, 1, this._findNewAllocOffset(memory.address));
-        }
-
-        Atomize.store(this.mInt32View, 2, 0);
-        Atomize.notify(this.mInt32View, 2, 1);
+        this._unlock();
 
         memory._destroy();
     }
 
     /**
-     * Shrinks the specified memory block to the specified size.
+     * Computes the block size a memory block will have after being shrunk to the specified size.
      * @param {MemoryBlock} memory - The memory block to shrink.
      * @param {number} size - The new memory size for the block, must be smaller than the its current size.
+     * @return {number}
+     * @private
      */
-    shrink(memory, size) {
+    _shrinkBlockSize(memory, size) {
         /// #if !_DEBUG
         /*
         /// #endif
         if (size >= memory.size) {
-            throw 'ERROR: The new memory size must be smaller than the current size';
+            throw new KrudaBoundsError('The new memory size must be smaller than the current size', size, memory.size);
         }
         /// #if !_DEBUG
          */
         /// #endif
+        return Math.max(((size + 3) | 7) + 1, kMinBlockSize);
+    }
 
+    /**
+     * Shrinks the specified memory block to the specified block size. Must be called while holding the heap's lock, the
+     * lock is released by this function.
+     * @param {MemoryBlock} memory - The memory block to shrink.
+     * @param {number} newSize - The new block size, including its padding.
+     * @private
+     */
+    _shrink(memory, newSize) {
         const paddingAddress = memory.address + memory.size;
-        const newSize = ((size + 3) | 3) + 1;
+        const newEndAddress = memory.address + newSize;
         const endAddress = paddingAddress + 4;
 
-        if (newSize < memory.size) {
-            let lockState = 1;
-            while (lockState) {
-                lockState = Atomize.compareExchange(this.mInt32View, 2, 0, 1);
-                if (lockState) {
-                    Atomize.wait(this.mInt32View, 2, 1);
+        /// #if !_DEBUG
+        /*
+        /// #endif
+        if (this._isMarkedFree(paddingAddress)) {
+            this._unlock();
+            throw new KrudaMemoryError('Trying to shrink a memory block that has already been freed', memory.address);
+        }
+        /// #if !_DEBUG
+         */
+        /// #endif
+
+        if (endAddress === this.allocOffset || endAddress - newEndAddress >= kMinBlockSize) {
+            Atomize.store(this.mUint32View, (newEndAddress >> 2) - 1, memory.address);
+            this._releaseBlock(newEndAddress, endAddress);
+            memory._setSize(newSize - 4);
+        }
+
+        this._unlock();
+    }
+
+    /**
+     * Writes the initial values of the heap's header.
+     * @private
+     */
+    _initializeHeader() {
+        /*
+         * Header structure
+         * 0 {byte} - null
+         * 1 {byte} - reserved
+         * 2 {byte} - reserved
+         * 3 {byte} - reserved
+         * 4 {Uint32} - alloc offset
+         * 8 {Int32} - alloc semaphore
+         * 12 {Uint32} - address of the first block in the free list, 0 if the list is empty
+         */
+        this.mDataView.setUint32(4, kHeaderSize, true);
+        this.mDataView.setInt32(8, 0, true);
+        this.mDataView.setUint32(12, 0, true);
+    }
+
+    /**
+     * Acquires this heap's lock, blocks the calling thread until the lock is available.
+     * @private
+     */
+    _lock() {
+        let lockState = 1;
+        while (lockState) {
+            lockState = Atomize.compareExchange(this.mInt32View, 2, 0, 1);
+            if (lockState) {
+                Atomize.wait(this.mInt32View, 2, 1);
+            }
+        }
+        this._syncWebAssemblyMemory();
+    }
+
+    /**
+     * Acquires this heap's lock without blocking the calling thread. Uses `Atomics.waitAsync` to wait for the lock when
+     * available, otherwise yields to the event loop between attempts.
+     * @return {Promise<void>}
+     * @private
+     */
+    async _lockAsync() {
+        let lockState = 1;
+        while (lockState) {
+            lockState = Atomize.compareExchange(this.mInt32View, 2, 0, 1);
+            if (lockState) {
+                if (typeof Atomics !== 'undefined' && Atomics.waitAsync) {
+                    const result = Atomics.waitAsync(this.mInt32View, 2, 1);
+                    if (result.async) {
+                        await result.value;
+                    }
+                } else {
+                    await new Promise(resolve => setTimeout(resolve, 0));
                 }
             }
+        }
+        this._syncWebAssemblyMemory();
+    }
 
-            /// #if !_DEBUG
-            /*
-            /// #endif
-            if (this._isMarkedFree(paddingAddress)) {
-                throw 'ERROR: Trying to shrink a memory block that has already been freed';
+    /**
+     * Releases this heap's lock and wakes up a thread waiting for it, if any.
+     * @private
+     */
+    _unlock() {
+        Atomize.store(this.mInt32View, 2, 0);
+        Atomize.notify(this.mInt32View, 2, 1);
+    }
+
+    /**
+     * Allocates a memory block of the specified size, first from the free list and, if no free block is big enough,
+     * from the top of the memory stack. Must be called while holding the heap's lock.
+     * @param {number} blockSize - The size of the block to allocate, including its padding.
+     * @return {MemoryBlock|null}
+     * @private
+     */
+    _allocate(blockSize) {
+        let previous = 0;
+        let address = Atomize.load(this.mUint32View, 3);
+        let blockEnd;
+        let next;
+
+        while (address) {
+            blockEnd = this._readFreeBlockEnd(address);
+            next = this._readFreeBlockNext(address);
+            if (blockEnd - address >= blockSize) {
+                if (blockEnd - address - blockSize >= kMinBlockSize) {
+                    this._writeFreeBlock(address + blockSize, blockEnd, next);
+                    this._linkFreeBlock(previous, address + blockSize);
+                    blockEnd = address + blockSize;
+                } else {
+                    this._linkFreeBlock(previous, next);
+                }
+                Atomize.store(this.mUint32View, (blockEnd >> 2) - 1, address);
+                return new MemoryBlock(this, address, blockEnd - address - 4);
             }
-            /// #if !_DEBUG
-             */
-            /// #endif
+            previous = address;
+            address = next;
+        }
+
+        if (blockSize > this.freeMemory && !this._grow(blockSize - this.freeMemory)) {
+            return null;
+        }
+
+        address = Atomize.add(this.mUint32View, 1, blockSize);
+        Atomize.store(this.mUint32View, ((address + blockSize) >> 2) - 1, address);
 
-            Atomize.store(this.mUint32View, ((memory.address + newSize) >> 2) - 1, memory.address);
-            Atomize.store(this.mUint32View, paddingAddress >> 2, memory.address + newSize);
-            Atomize.or(this.mUint32View, paddingAddress >> 2, kFreeFlag);
+        return new MemoryBlock(this, address, blockSize - 4);
+    }
 
-            memory._setSize(size);
+    /**
+     * Grows the WebAssembly memory backing this heap by, at least, the specified number of bytes. The memory is doubled
+     * when possible to reduce the number of times it needs to grow. Must be called while holding the heap's lock.
+     * @param {number} bytes - The minimum number of bytes to grow the memory by.
+     * @return {boolean} - `true` if the memory grew, `false` if this heap is not growable or cannot grow anymore.
+     * @private
+     */
+    _grow(bytes) {
+        if (!this.mWebAssemblyMemory) {
+            return false;
+        }
 
-            if (this.allocOffset === endAddress) {
-                Atomize.store(this.mUint32View, 1, this._findNewAllocOffset(memory.address));
+        const pages = Math.ceil(bytes / kWebAssemblyPageSize);
+        const currentPages = this.mBuffer.byteLength / kWebAssemblyPageSize;
+        try {
+            this.mWebAssemblyMemory.grow(Math.max(pages, currentPages));
+        } catch (e) {
+            try {
+                this.mWebAssemblyMemory.grow(pages);
+            } catch (ee) {
+                return false;
             }
+        }
 
-            Atomize.store(this.mInt32View, 2, 0);
-            Atomize.notify(this.mInt32View, 2, 1);
+        this._restoreBuffer(this.mWebAssemblyMemory.buffer);
+        return true;
+    }
+
+    /**
+     * Makes sure this heap's views reflect the current size of its WebAssembly memory, which can be grown by a heap
+     * instance in a different thread.
+     * @private
+     */
+    _syncWebAssemblyMemory() {
+        if (this.mWebAssemblyMemory && this.mWebAssemblyMemory.buffer !== this.mBuffer) {
+            this._restoreBuffer(this.mWebAssemblyMemory.buffer);
         }
     }
 
     /**
-     * Checks if the padding at the specified offset is marked as free.
-     * @param {number} offset - The offset of the memory block padding.
+     * Releases the memory between the specified addresses. The memory is merged with its adjacent free blocks and
+     * either returned to the stack, if it ends at the top of the stack, or inserted in the free list.
+     * Must be called while holding the heap's lock.
+     * @param {number} start - The address where the block to release starts.
+     * @param {number} end - The address where the block to release ends, including its padding.
+     * @private
+     */
+    _releaseBlock(start, end) {
+        let blockStart = start;
+        let blockEnd = end;
+        let beforePrevious = 0;
+        let previous = 0;
+        let next = Atomize.load(this.mUint32View, 3);
+
+        while (next && next < blockStart) {
+            beforePrevious = previous;
+            previous = next;
+            next = this._readFreeBlockNext(next);
+        }
+
+        if (next && next === blockEnd) {
+            blockEnd = this._readFreeBlockEnd(next);
+            next = this._readFreeBlockNext(next);
+        }
+
+        if (previous && this._readFreeBlockEnd(previous) === blockStart) {
+            blockStart = previous;
+            previous = beforePrevious;
+        }
+
+        if (blockEnd === this.allocOffset) {
+            this._linkFreeBlock(previous, next);
+            Atomize.store(this.mUint32View, 1, blockStart);
+        } else {
+            this._writeFreeBlock(blockStart, blockEnd, next);
+            this._linkFreeBlock(previous, blockStart);
+        }
+    }
+
+    /**
+     * Writes the free list information of a free block and marks its padding as free.
+     * @param {number} address - The address of the free block.
+     * @param {number} end - The address where the block ends, including its padding.
+     * @param {number} next - The address of the next block in the free list, 0 if this is the last block.
+     * @private
+     */
+    _writeFreeBlock(address, end, next) {
+        Atomize.store(this.mUint32View, address >> 2, end);
+        Atomize.store(this.mUint32View, (address >> 2) + 1, next);
+        Atomize.store(this.mUint32View, (end >> 2) - 1, address | kFreeFlag);
+    }
+
+    /**
+     * Makes the free list entry after `previous` point to `address`.
+     * @param {number} previous - The address of the previous free block, 0 to set the head of the list.
+     * @param {number} address - The address of the free block to link, 0 to terminate the list.
+     * @private
+     */
+    _linkFreeBlock(previous, address) {
+        if (previous) {
+            Atomize.store(this.mUint32View, (previous >> 2) + 1, address);
+        } else {
+            Atomize.store(this.mUint32View, 3, address);
+        }
+    }
+
+    /**
+     * Reads the end address, including the padding, of a block in the free list.
+     * @param {number} address - The address of the free block.
      * @return {number}
      * @private
      */
-    _isMarkedFree(offset) {
-        return Atomize.load(this.mUint32View, offset >> 2) & kFreeFlag;
+    _readFreeBlockEnd(address) {
+        return Atomize.load(this.mUint32View, address >> 2);
     }
 
     /**
-     * Reads the value of the padding at the specified offset. Only works with paddings marked as free.
-     * @param {number} offset - The offset of the memory block padding.
+     * Reads the address of the block following the specified block in the free list.
+     * @param {number} address - The address of the free block.
      * @return {number}
      * @private
      */
-    _readPadding(offset) {
-        return Atomize.load(this.mUint32View, offset >> 2) ^ kFreeFlag;
+    _readFreeBlockNext(address) {
+        return Atomize.load(this.mUint32View, (address >> 2) + 1);
     }
 
     /**
-     * Finds how much memory can be reclaimed by recursively checking all memory blocks that are marked "free" from
-     * the top of the stack.
-     * @param {number} offset - Offset of the end of the memory block to check.
+     * Checks if the padding at the specified offset is marked as free.
+     * @param {number} offset - The offset of the memory block padding.
      * @return {number}
      * @private
      */
-    _findNewAllocOffset(offset) {
-        if (offset !== kHeaderSize && this._isMarkedFree(offset - 4)) {
-            return this._findNewAllocOffset(this._readPadding(offset - 4));
-        }
-        return offset;
+    _isMarkedFree(offset) {
+        return Atomize.load(this.mUint32View, offset >> 2) & kFreeFlag;
     }
 
     /**
@@ -465,11 +1417,11 @@ export class Heap {
         /*
         /// #endif
         if (this.mMemoryBlocks.indexOf(memory) !== -1) {
-            throw 'ERROR: Cannot register memory block twice';
+            throw new KrudaMemoryError('Cannot register memory block twice', memory.address);
         }
 
         if (memory.heap !== this) {
-            throw 'ERROR: Memory blocks can only be registered with the Heap that owns them';
+            throw new KrudaMemoryError('Memory blocks can only be registered with the Heap that owns them', memory.address);
         }
         /// #if !_DEBUG
          */
@@ -488,11 +1440,11 @@ export class Heap {
         /*
         /// #endif
         if (this.mMemoryBlocks.indexOf(memory) === -1) {
-            throw 'ERROR: Trying to unregister an unknown memory block';
+            throw new KrudaMemoryError('Trying to unregister an unknown memory block', memory.address);
         }
 
         if (memory.heap !== this) {
-            throw 'ERROR: Memory blocks can only be unregistered from the Heap that owns them';
+            throw new KrudaMemoryError('Memory blocks can only be unregistered from the Heap that owns them', memory.address);
         }
         /// #if !_DEBUG
          */
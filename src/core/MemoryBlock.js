@@ -20,6 +20,7 @@
  * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
  * SOFTWARE.
  */
+import {KrudaBoundsError, KrudaMemoryError, KrudaTypeError} from './Errors';
 
 /**
  * Class to encapsulate an ArrayBuffer with utility views to read/write data.
@@ -36,6 +37,9 @@ export class MemoryBlock {
         this.mOffset = address;
         this.mSize = size;
         this.mDataView = new DataView(this.mHeap.buffer, this.mOffset, this.mSize);
+        this.mRelocationListeners = [];
+        this.mLabel = null;
+        this.mAllocationStack = null;
 
         this.mHeap._registerMemoryBlock(this);
     }
@@ -80,6 +84,56 @@ export class MemoryBlock {
         return this.mDataView;
     }
 
+    /**
+     * An optional label describing the owner or purpose of this memory block, reported by `Heap.inspect` and
+     * `Heap.reportLeaks`. Usually set through the options passed to `Heap.malloc`.
+     * @type {string|null}
+     */
+    get label() {
+        return this.mLabel;
+    }
+    set label(value) {
+        this.mLabel = value;
+    }
+
+    /**
+     * The call stack at the moment this memory block was allocated, only available when the heap tracks allocations.
+     * @type {string|null}
+     */
+    get allocationStack() {
+        return this.mAllocationStack;
+    }
+
+    /**
+     * Creates a TypedArray view of the specified type over this memory block's memory, no data is copied.
+     * Memory blocks start at addresses aligned to 8 bytes, so any `byteOffset` that is a multiple of the type's byte size
+     * can be viewed.
+     * WARNING: The view must be recreated if this memory block is moved or its heap grows.
+     * @param {Type} type - The type of the values to view, must be a primitive type with a TypedArray equivalent.
+     * @param {number=} byteOffset - The offset, in bytes, from the beginning of this memory block. Must be a multiple of
+     * the type's byte size.
+     * @param {number=} length - The number of values to view. Defaults to all the values between `byteOffset` and the
+     * end of this memory block.
+     * @return {Int8Array|Int16Array|Int32Array|Uint8Array|Uint16Array|Uint32Array|Float32Array|Float64Array|BigInt64Array|BigUint64Array}
+     */
+    asTypedArray(type, byteOffset = 0, length = Math.floor((this.mSize - byteOffset) / type.byteSize)) {
+        const TypedArray = type.typedArray;
+        if (!TypedArray) {
+            throw new KrudaTypeError(`Type ${type.name} cannot be viewed as a typed array`);
+        }
+
+        const address = this.mOffset + byteOffset;
+        if (address % type.byteSize) {
+            throw new KrudaMemoryError(`Address ${address} is not aligned to the byte size of ${type.name} (${type.byteSize})`, address);
+        }
+
+        if (byteOffset < 0 || length < 0 || byteOffset + length * type.byteSize > this.mSize) {
+            throw new KrudaBoundsError('Typed array view out of bounds', byteOffset + length * type.byteSize, this.mSize);
+        }
+
+        return new TypedArray(this.mHeap.buffer, address, length);
+    }
+
     /**
      * Frees this memory block, this function just calls `free` on the heap.
      */
@@ -87,6 +141,29 @@ export class MemoryBlock {
         this.mHeap.free(this);
     }
 
+    /**
+     * Adds a listener to be invoked every time the heap moves this memory block to a different address, for example
+     * when the heap is compacted. Objects that cache absolute addresses derived from this memory block should use this
+     * to update them, objects that only keep addresses relative to the memory block do not need to.
+     * @param {function(memory:MemoryBlock, oldAddress:number):void} listener - The function to invoke.
+     */
+    addRelocationListener(listener) {
+        if (this.mRelocationListeners.indexOf(listener) === -1) {
+            this.mRelocationListeners.push(listener);
+        }
+    }
+
+    /**
+     * Removes a listener previously added with `addRelocationListener`.
+     * @param {function(memory:MemoryBlock, oldAddress:number):void} listener - The function to remove.
+     */
+    removeRelocationListener(listener) {
+        const index = this.mRelocationListeners.indexOf(listener);
+        if (index !== -1) {
+            this.mRelocationListeners.splice(index, 1);
+        }
+    }
+
     /**
      * Makes sure this memory block is not usable anymore. Automatically called by the heap when this memory block is freed.
      * @private
@@ -98,24 +175,53 @@ export class MemoryBlock {
         this.mOffset = -1;
         this.mSize = 0;
         this.mDataView = null;
+        this.mRelocationListeners = [];
+        this.mLabel = null;
+        this.mAllocationStack = null;
+    }
+
+    /**
+     * Sets the call stack recorded when this memory block was allocated. Automatically called by the heap.
+     * @param {string} stack - The call stack.
+     * @private
+     */
+    _setAllocationStack(stack) {
+        this.mAllocationStack = stack;
+    }
+
+    /**
+     * Moves this memory block to a new address within its heap. The heap is responsible for moving the contents of
+     * the memory, this function only updates this instance.
+     * @param {number} address - The new address of this memory block.
+     * @return {number} - The previous address of this memory block.
+     * @private
+     */
+    _relocate(address) {
+        const oldAddress = this.mOffset;
+        this.mOffset = address;
+        this.mDataView = new DataView(this.mHeap.buffer, this.mOffset, this.mSize);
+        return oldAddress;
+    }
+
+    /**
+     * Invokes the relocation listeners registered in this memory block.
+     * @param {number} oldAddress - The address this memory block was moved from.
+     * @private
+     */
+    _notifyRelocation(oldAddress) {
+        const listeners = this.mRelocationListeners.slice();
+        for (let i = 0, n = listeners.length; i < n; ++i) {
+            listeners[i](this, oldAddress);
+        }
     }
 
     /**
      * Sets the size of the memory.
-     * WARNING: The new size must be smaller than the previous size.
+     * WARNING: The heap must have already reserved, or released, the memory for the new size.
      * @param {number} size - The new size for this memory.
      * @private
      */
     _setSize(size) {
-        /// #if !_DEBUG
-        /*
-        /// #endif
-        if (size > this.mSize) {
-            throw 'ERROR: The memory size can only be changed to be smaller than what it was originally.';
-        }
-        /// #if !_DEBUG
-         */
-        /// #endif
         this.mSize = size;
         this.mDataView = new DataView(this.mHeap.buffer, this.mOffset, this.mSize);
     }
@@ -0,0 +1,106 @@
+/*
+ * Copyright (c) 2019 Uncharted Software Inc.
+ * http://www.uncharted.software/
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+import {Atomize} from './Atomize';
+import {SyncPrimitive} from './SyncPrimitive';
+
+/**
+ * The size, in bytes, of a mutex's state.
+ * @type {number}
+ * @private
+ */
+const kMutexByteSize = 4;
+
+/**
+ * Mutual exclusion lock whose state lives in a heap's memory, so it can be shared between threads.
+ * Instances can be recreated in other threads, with `deserializeSyncPrimitive`, and lock the same state.
+ * WARNING: Browsers do not allow blocking the main thread, use `lockAsync` on the main thread.
+ * @class Mutex
+ * @extends SyncPrimitive
+ * @param {MemoryBlock} memory - The memory block containing the state of the mutex.
+ * @param {number=} address - The address, relative to the memory block, of the state. Must be a multiple of 4.
+ */
+export class Mutex extends SyncPrimitive {
+    constructor(memory, address = 0) {
+        super(memory, address, 1);
+    }
+
+    /**
+     * The size, in bytes, needed to store the state of a mutex. Zeroed memory is an unlocked mutex.
+     * @type {number}
+     */
+    static get byteSize() {
+        return kMutexByteSize;
+    }
+
+    /**
+     * Allocates the memory for a new, unlocked, mutex in the specified heap.
+     * @param {Heap|SegmentedHeap|Arena} heap - The heap where the mutex will be allocated.
+     * @return {Mutex}
+     */
+    static create(heap) {
+        return new Mutex(heap.calloc(kMutexByteSize, { label: 'Mutex' }));
+    }
+
+    /**
+     * Is this mutex currently locked.
+     * @type {boolean}
+     */
+    get locked() {
+        return Atomize.load(this._state(), 0) !== 0;
+    }
+
+    /**
+     * Acquires this mutex, blocks the calling thread until the mutex is available.
+     */
+    lock() {
+        while (Atomize.compareExchange(this._state(), 0, 0, 1)) {
+            this._wait(0, 1);
+        }
+    }
+
+    /**
+     * Acquires this mutex without blocking the calling thread.
+     * @return {Promise<void>}
+     */
+    async lockAsync() {
+        while (Atomize.compareExchange(this._state(), 0, 0, 1)) {
+            await this._waitAsync(0, 1);
+        }
+    }
+
+    /**
+     * Tries to acquire this mutex, returns immediately.
+     * @return {boolean} - `true` if the mutex was acquired.
+     */
+    tryLock() {
+        return Atomize.compareExchange(this._state(), 0, 0, 1) === 0;
+    }
+
+    /**
+     * Releases this mutex and wakes up a thread waiting for it, if any.
+     */
+    unlock() {
+        Atomize.store(this._state(), 0, 0);
+        this._notify(0, 1);
+    }
+}
@@ -22,6 +22,7 @@
  */
 
 import * as Types from './Types';
+import {KrudaBoundsError, KrudaTypeError} from './Errors'; // eslint-disable-line no-unused-vars
 
 /**
  * This class represents a position in a memory block.
@@ -75,7 +76,7 @@ export class Pointer {
         /*
         /// #endif
         if (value < 0 || value >= this.mMemory.size) {
-            throw 'ERROR: New pointer address would be out of bounds';
+            throw new KrudaBoundsError('New pointer address would be out of bounds', value, this.mMemory.size);
         }
         /// #if !_DEBUG
          */
@@ -94,8 +95,8 @@ export class Pointer {
         /// #if !_DEBUG
         /*
         /// #endif
-        if (!Types.isPrimitiveType(value)) {
-            throw 'ERROR: Pointers can only address primitive values';
+        if (!Types.isPrimitiveType(value) && !Types.isStructType(value) && !Types.isArrayType(value)) {
+            throw new KrudaTypeError('Pointers can only address primitive, struct or array values');
         }
         /// #if !_DEBUG
          */
@@ -104,8 +105,10 @@ export class Pointer {
     }
 
     /**
-     * Given its type, returns the numeric value at this pointer's address.
-     * @type {number}
+     * Given its type, returns the value at this pointer's address. Pointers typed to a struct return an object with a
+     * property to read and write each of the struct's fields.
+     * Pointers typed to an array return a TypedArray viewing the array's components.
+     * @type {*}
      */
     get value() {
         return this.mType.get(this.view, this.mOffset);
@@ -123,8 +126,8 @@ export class Pointer {
         /// #if !_DEBUG
         /*
         /// #endif
-        if (!Types.isPrimitiveType(type)) {
-            throw 'ERROR: Pointers can only be casted to primitive values';
+        if (!Types.isPrimitiveType(type) && !Types.isStructType(type) && !Types.isArrayType(type)) {
+            throw new KrudaTypeError('Pointers can only be casted to primitive, struct or array values');
         }
         /// #if !_DEBUG
          */
@@ -143,7 +146,7 @@ export class Pointer {
         /// #endif
         const newOffset = this.mOffset + offset * this.mType.byteSize;
         if (newOffset < 0 || newOffset >= this.mMemory.size) {
-            throw 'ERROR: New pointer address would be out of bounds';
+            throw new KrudaBoundsError('New pointer address would be out of bounds', newOffset, this.mMemory.size);
         }
         /// #if !_DEBUG
          */
@@ -180,8 +183,8 @@ export class Pointer {
         /// #if !_DEBUG
         /*
         /// #endif
-        if (!Types.isPrimitiveType(type)) {
-            throw 'ERROR: Pointers can only be casted to primitive values';
+        if (!Types.isPrimitiveType(type) && !Types.isStructType(type) && !Types.isArrayType(type)) {
+            throw new KrudaTypeError('Pointers can only be casted to primitive, struct or array values');
         }
         /// #if !_DEBUG
          */
@@ -200,7 +203,7 @@ export class Pointer {
         /// #endif
         const newOffset = this.mOffset + offset;
         if (newOffset < 0 || newOffset >= this.mMemory.size) {
-            throw 'ERROR: New pointer address would be out of bounds';
+            throw new KrudaBoundsError('New pointer address would be out of bounds', newOffset, this.mMemory.size);
         }
         /// #if !_DEBUG
          */
@@ -219,7 +222,7 @@ export class Pointer {
         /// #endif
         const newOffset = this.mOffset + offset;
         if (newOffset < 0 || newOffset >= this.mMemory.size) {
-            throw 'ERROR: New pointer address would be out of bounds';
+            throw new KrudaBoundsError('New pointer address would be out of bounds', newOffset, this.mMemory.size);
         }
         /// #if !_DEBUG
          */
@@ -238,7 +241,7 @@ export class Pointer {
         /// #endif
         const newOffset = this.mOffset + offset;
         if (newOffset < 0 || newOffset >= this.mMemory.size) {
-            throw 'ERROR: New pointer address would be out of bounds';
+            throw new KrudaBoundsError('New pointer address would be out of bounds', newOffset, this.mMemory.size);
         }
         /// #if !_DEBUG
          */
@@ -257,7 +260,7 @@ export class Pointer {
         /// #endif
         const newOffset = this.mOffset + offset;
         if (newOffset < 0 || newOffset >= this.mMemory.size) {
-            throw 'ERROR: New pointer address would be out of bounds';
+            throw new KrudaBoundsError('New pointer address would be out of bounds', newOffset, this.mMemory.size);
         }
         /// #if !_DEBUG
          */
@@ -276,7 +279,7 @@ export class Pointer {
         /// #endif
         const newOffset = this.mOffset + offset;
         if (newOffset < 0 || newOffset >= this.mMemory.size) {
-            throw 'ERROR: New pointer address would be out of bounds';
+            throw new KrudaBoundsError('New pointer address would be out of bounds', newOffset, this.mMemory.size);
         }
         /// #if !_DEBUG
          */
@@ -295,7 +298,7 @@ export class Pointer {
         /// #endif
         const newOffset = this.mOffset + offset;
         if (newOffset < 0 || newOffset >= this.mMemory.size) {
-            throw 'ERROR: New pointer address would be out of bounds';
+            throw new KrudaBoundsError('New pointer address would be out of bounds', newOffset, this.mMemory.size);
         }
         /// #if !_DEBUG
          */
@@ -314,7 +317,7 @@ export class Pointer {
         /// #endif
         const newOffset = this.mOffset + offset;
         if (newOffset < 0 || newOffset >= this.mMemory.size) {
-            throw 'ERROR: New pointer address would be out of bounds';
+            throw new KrudaBoundsError('New pointer address would be out of bounds', newOffset, this.mMemory.size);
         }
         /// #if !_DEBUG
          */
@@ -0,0 +1,378 @@
+/*
+ * Copyright (c) 2019 Uncharted Software Inc.
+ * http://www.uncharted.software/
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+import {Heap} from './Heap';
+import {Arena} from './Arena';
+import {KrudaOutOfMemoryError} from './Errors';
+import {KrudaMemoryError} from './Errors'; // eslint-disable-line no-unused-vars
+
+/**
+ * Heap made of multiple memory segments, each one managed by its own {@link Heap} instance. Allows the total memory
+ * managed by kruda to grow past the max size of a single ArrayBuffer. New segments are created on demand when an
+ * allocation does not fit in any of the existing segments.
+ * Each segment is thread safe, but segments created on one thread are not automatically visible to other threads, use
+ * `fromSegments` to recreate a segmented heap in a different thread.
+ * NOTE: A single allocation cannot span multiple segments, allocations are limited to the usable size of a segment.
+ * @class SegmentedHeap
+ * @param {number} segmentSize - The size, in bytes, of each segment. Must be a valid {@link Heap} size.
+ * @param {number=} maxSegments - The maximum number of segments this heap can create. Defaults to `Infinity`.
+ */
+export class SegmentedHeap {
+    constructor(segmentSize, maxSegments = Infinity) {
+        /// #if !_DEBUG
+        /*
+        /// #endif
+        if (segmentSize > Heap.maxHeapSize) {
+            throw new KrudaMemoryError(`Segment size cannot be bigger than ${Heap.maxHeapSize} bytes`);
+        }
+        /// #if !_DEBUG
+         */
+        /// #endif
+
+        this.mSegmentSize = segmentSize;
+        this.mMaxSegments = maxSegments;
+        this.mSegments = [];
+        this.mTrackAllocations = false;
+    }
+
+    /**
+     * Creates a segmented heap from existing heaps, usually the segments of a segmented heap created in another thread.
+     * @param {Heap[]} segments - The heaps to use as segments, all the segments must have the same size.
+     * @param {number=} maxSegments - The maximum number of segments the heap can hold. Defaults to `Infinity`.
+     * @return {SegmentedHeap}
+     */
+    static fromSegments(segments, maxSegments = Infinity) {
+        const heap = new SegmentedHeap(segments.length ? segments[0].size : 0, maxSegments);
+        for (let i = 0, n = segments.length; i < n; ++i) {
+            heap.addSegment(segments[i]);
+        }
+        return heap;
+    }
+
+    /**
+     * The heaps managing each of the segments in this heap.
+     * WARNING: Do not modify this array, use `addSegment` instead.
+     * @type {Heap[]}
+     */
+    get segments() {
+        return this.mSegments;
+    }
+
+    /**
+     * The number of segments currently in this heap.
+     * @type {number}
+     */
+    get segmentCount() {
+        return this.mSegments.length;
+    }
+
+    /**
+     * The size, in bytes, of each segment.
+     * @type {number}
+     */
+    get segmentSize() {
+        return this.mSegmentSize;
+    }
+
+    /**
+     * The maximum number of segments this heap can create.
+     * @type {number}
+     */
+    get maxSegments() {
+        return this.mMaxSegments;
+    }
+
+    /**
+     * Are the buffers in this heap instances of SharedArrayBuffer. Heaps with no segments report if the system supports
+     * shared memory.
+     * @type {boolean}
+     */
+    get shared() {
+        if (this.mSegments.length) {
+            return this.mSegments[0].shared;
+        }
+        return typeof SharedArrayBuffer !== 'undefined' && typeof Atomics !== 'undefined';
+    }
+
+    /**
+     * The total size, in bytes, of all the segments in this heap.
+     * @type {number}
+     */
+    get size() {
+        let size = 0;
+        for (let i = 0, n = this.mSegments.length; i < n; ++i) {
+            size += this.mSegments[i].size;
+        }
+        return size;
+    }
+
+    /**
+     * Total memory used across all segments.
+     * @type {number}
+     */
+    get usedMemory() {
+        let used = 0;
+        for (let i = 0, n = this.mSegments.length; i < n; ++i) {
+            used += this.mSegments[i].usedMemory;
+        }
+        return used;
+    }
+
+    /**
+     * Total usable memory across all segments, does not include the memory in segments yet to be created.
+     * @type {number}
+     */
+    get freeMemory() {
+        let free = 0;
+        for (let i = 0, n = this.mSegments.length; i < n; ++i) {
+            free += this.mSegments[i].freeMemory;
+        }
+        return free;
+    }
+
+    /**
+     * Should the segments in this heap record the call stack of each allocation, see `Heap.trackAllocations`.
+     * @type {boolean}
+     */
+    get trackAllocations() {
+        return this.mTrackAllocations;
+    }
+    set trackAllocations(value) {
+        this.mTrackAllocations = Boolean(value);
+        for (let i = 0, n = this.mSegments.length; i < n; ++i) {
+            this.mSegments[i].trackAllocations = this.mTrackAllocations;
+        }
+    }
+
+    /**
+     * Adds an existing heap as a new segment of this heap.
+     * @param {Heap} heap - The heap to add.
+     * @return {number} - The index of the new segment.
+     */
+    addSegment(heap) {
+        /// #if !_DEBUG
+        /*
+        /// #endif
+        if (this.mSegments.length >= this.mMaxSegments) {
+            throw new KrudaMemoryError(`Segmented heap cannot have more than ${this.mMaxSegments} segments`);
+        }
+        if (heap.size !== this.mSegmentSize) {
+            throw new KrudaMemoryError(`Segment size (${heap.size}) does not match the heap's segment size (${this.mSegmentSize})`);
+        }
+        /// #if !_DEBUG
+         */
+        /// #endif
+        heap.trackAllocations = this.mTrackAllocations;
+        this.mSegments.push(heap);
+        return this.mSegments.length - 1;
+    }
+
+    /**
+     * Returns the index of the segment that manages the specified memory block, or -1 if the memory block does not
+     * belong to this heap.
+     * @param {MemoryBlock} memory - The memory block to look for.
+     * @return {number}
+     */
+    segmentIndexOf(memory) {
+        for (let i = 0, n = this.mSegments.length; i < n; ++i) {
+            if (this.mSegments[i] === memory.heap || this.mSegments[i].buffer === memory.buffer) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Runs the specified function with an {@link Arena} allocating from this heap. All the memory blocks allocated
+     * through the arena are freed when the function returns, or throws, except the ones escaped through `arena.escape`.
+     * @param {function(arena:Arena):*} fn - The function to run, can be async.
+     * @return {Promise<*>} - The value returned by `fn`.
+     */
+    async scope(fn) {
+        const arena = new Arena(this);
+        try {
+            return await fn(arena);
+        } finally {
+            arena.release();
+        }
+    }
+
+    /**
+     * Inspects each of the segments in this heap, see `Heap.inspect`.
+     * @return {HeapReport[]}
+     */
+    inspect() {
+        return this.mSegments.map(segment => segment.inspect());
+    }
+
+    /**
+     * Lists all the memory blocks still alive in all the segments of this heap grouped by their label, see
+     * `Heap.reportLeaks`.
+     * @return {HeapLeakGroup[]}
+     */
+    reportLeaks() {
+        const groups = new Map();
+        for (let i = 0, n = this.mSegments.length; i < n; ++i) {
+            const segmentGroups = this.mSegments[i].reportLeaks();
+            for (let ii = 0, nn = segmentGroups.length; ii < nn; ++ii) {
+                const group = groups.get(segmentGroups[ii].label);
+                if (group) {
+                    group.count += segmentGroups[ii].count;
+                    group.bytes += segmentGroups[ii].bytes;
+                    group.blocks.push(...segmentGroups[ii].blocks);
+                } else {
+                    groups.set(segmentGroups[ii].label, segmentGroups[ii]);
+                }
+            }
+        }
+        return Array.from(groups.values()).sort((a, b) => b.bytes - a.bytes);
+    }
+
+    /**
+     * Allocates a new memory block in the first segment with enough free memory, creates a new segment if needed.
+     * @param {number} size - The amount of memory, in bytes, to allocate.
+     * @param {AllocationOptions=} options - Options for the allocation, such as a label for the memory block.
+     * @return {MemoryBlock}
+     */
+    malloc(size, options) {
+        let memory;
+        for (let i = 0, n = this.mSegments.length; i < n; ++i) {
+            memory = this.mSegments[i]._tryMalloc(size, options);
+            if (memory) {
+                return memory;
+            }
+        }
+
+        if (this.mSegments.length < this.mMaxSegments) {
+            const segment = new Heap(this.mSegmentSize);
+            segment.trackAllocations = this.mTrackAllocations;
+            memory = segment._tryMalloc(size, options);
+            if (memory) {
+                this.mSegments.push(segment);
+                return memory;
+            }
+        }
+
+        throw new KrudaOutOfMemoryError(size, this.freeMemory, this.size);
+    }
+
+    /**
+     * Allocates a new memory block and guarantees that the memory block will be empty.
+     * @param {number} size - The amount of memory, in bytes, to allocate.
+     * @param {AllocationOptions=} options - Options for the allocation, such as a label for the memory block.
+     * @return {MemoryBlock}
+     */
+    calloc(size, options) {
+        const memory = this.malloc(size, options);
+        const arr = new Uint32Array(memory.buffer, memory.address, memory.size >> 2);
+        arr.fill(0);
+        return memory;
+    }
+
+    /**
+     * Asynchronous version of `malloc`, waits for the segments' locks without blocking the calling thread.
+     * @param {number} size - The amount of memory, in bytes, to allocate.
+     * @param {AllocationOptions=} options - Options for the allocation, such as a label for the memory block.
+     * @return {Promise<MemoryBlock>}
+     */
+    async mallocAsync(size, options) {
+        let memory;
+        for (let i = 0, n = this.mSegments.length; i < n; ++i) {
+            memory = await this.mSegments[i]._tryMallocAsync(size, options);
+            if (memory) {
+                return memory;
+            }
+        }
+
+        if (this.mSegments.length < this.mMaxSegments) {
+            const segment = new Heap(this.mSegmentSize);
+            segment.trackAllocations = this.mTrackAllocations;
+            memory = await segment._tryMallocAsync(size, options);
+            if (memory) {
+                this.mSegments.push(segment);
+                return memory;
+            }
+        }
+
+        throw new KrudaOutOfMemoryError(size, this.freeMemory, this.size);
+    }
+
+    /**
+     * Asynchronous version of `calloc`, waits for the segments' locks without blocking the calling thread.
+     * @param {number} size - The amount of memory, in bytes, to allocate.
+     * @param {AllocationOptions=} options - Options for the allocation, such as a label for the memory block.
+     * @return {Promise<MemoryBlock>}
+     */
+    async callocAsync(size, options) {
+        const memory = await this.mallocAsync(size, options);
+        const arr = new Uint32Array(memory.buffer, memory.address, memory.size >> 2);
+        arr.fill(0);
+        return memory;
+    }
+
+    /**
+     * Frees the specified memory block in the segment it belongs to.
+     * @param {MemoryBlock} memory - The memory block to free.
+     */
+    free(memory) {
+        memory.heap.free(memory);
+    }
+
+    /**
+     * Asynchronous version of `free`, waits for the segment's lock without blocking the calling thread.
+     * @param {MemoryBlock} memory - The memory block to free.
+     * @return {Promise<void>}
+     */
+    freeAsync(memory) {
+        return memory.heap.freeAsync(memory);
+    }
+
+    /**
+     * Changes the size of the specified memory block within the segment it belongs to, see `Heap.realloc`.
+     * NOTE: Memory blocks are never moved to a different segment.
+     * @param {MemoryBlock} memory - The memory block to resize.
+     * @param {number} size - The new size, in bytes, for the memory block.
+     * @return {MemoryBlock}
+     */
+    realloc(memory, size) {
+        return memory.heap.realloc(memory, size);
+    }
+
+    /**
+     * Shrinks the specified memory block in the segment it belongs to.
+     * @param {MemoryBlock} memory - The memory block to shrink.
+     * @param {number} size - The new size of the memory block.
+     */
+    shrink(memory, size) {
+        memory.heap.shrink(memory, size);
+    }
+
+    /**
+     * Asynchronous version of `shrink`, waits for the segment's lock without blocking the calling thread.
+     * @param {MemoryBlock} memory - The memory block to shrink.
+     * @param {number} size - The new size of the memory block.
+     * @return {Promise<void>}
+     */
+    shrinkAsync(memory, size) {
+        return memory.heap.shrinkAsync(memory, size);
+    }
+}
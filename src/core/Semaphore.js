@@ -0,0 +1,129 @@
+/*
+ * Copyright (c) 2019 Uncharted Software Inc.
+ * http://www.uncharted.software/
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+import {Atomize} from './Atomize';
+import {SyncPrimitive} from './SyncPrimitive';
+
+/**
+ * The size, in bytes, of a semaphore's state.
+ * @type {number}
+ * @private
+ */
+const kSemaphoreByteSize = 4;
+
+/**
+ * Counting semaphore whose state lives in a heap's memory, so it can be shared between threads.
+ * WARNING: Browsers do not allow blocking the main thread, use `acquireAsync` on the main thread.
+ * @class Semaphore
+ * @extends SyncPrimitive
+ * @param {MemoryBlock} memory - The memory block containing the state of the semaphore.
+ * @param {number=} address - The address, relative to the memory block, of the state. Must be a multiple of 4.
+ */
+export class Semaphore extends SyncPrimitive {
+    constructor(memory, address = 0) {
+        super(memory, address, 1);
+    }
+
+    /**
+     * The size, in bytes, needed to store the state of a semaphore.
+     * @type {number}
+     */
+    static get byteSize() {
+        return kSemaphoreByteSize;
+    }
+
+    /**
+     * Allocates the memory for a new semaphore in the specified heap.
+     * @param {Heap|SegmentedHeap|Arena} heap - The heap where the semaphore will be allocated.
+     * @param {number} count - The initial number of available permits.
+     * @return {Semaphore}
+     */
+    static create(heap, count) {
+        return Semaphore.initialize(heap.malloc(kSemaphoreByteSize, { label: 'Semaphore' }), 0, count);
+    }
+
+    /**
+     * Initializes a new semaphore at the specified address of an existing memory block.
+     * @param {MemoryBlock} memory - The memory block where the semaphore will be stored.
+     * @param {number} address - The address, relative to the memory block, of the state. Must be a multiple of 4.
+     * @param {number} count - The initial number of available permits.
+     * @return {Semaphore}
+     */
+    static initialize(memory, address, count) {
+        const semaphore = new Semaphore(memory, address);
+        Atomize.store(semaphore._state(), 0, count);
+        return semaphore;
+    }
+
+    /**
+     * The number of permits currently available.
+     * @type {number}
+     */
+    get count() {
+        return Atomize.load(this._state(), 0);
+    }
+
+    /**
+     * Acquires a permit, blocks the calling thread until one is available.
+     */
+    acquire() {
+        while (!this.tryAcquire()) {
+            this._wait(0, 0);
+        }
+    }
+
+    /**
+     * Acquires a permit without blocking the calling thread.
+     * @return {Promise<void>}
+     */
+    async acquireAsync() {
+        while (!this.tryAcquire()) {
+            await this._waitAsync(0, 0);
+        }
+    }
+
+    /**
+     * Tries to acquire a permit, returns immediately.
+     * @return {boolean} - `true` if a permit was acquired.
+     */
+    tryAcquire() {
+        const state = this._state();
+        let count = Atomize.load(state, 0);
+        while (count > 0) {
+            const previous = Atomize.compareExchange(state, 0, count, count - 1);
+            if (previous === count) {
+                return true;
+            }
+            count = previous;
+        }
+        return false;
+    }
+
+    /**
+     * Returns the specified number of permits and wakes up as many waiting threads.
+     * @param {number=} count - The number of permits to return. Defaults to 1.
+     */
+    release(count = 1) {
+        Atomize.add(this._state(), 0, count);
+        this._notify(0, count);
+    }
+}
@@ -0,0 +1,146 @@
+/*
+ * Copyright (c) 2019 Uncharted Software Inc.
+ * http://www.uncharted.software/
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+import {Atomize} from './Atomize';
+import {KrudaError} from './Errors';
+
+/**
+ * Base class for the synchronization primitives whose state lives in a heap's memory, so it can be shared between
+ * threads. Cannot be used directly.
+ * When the memory is not shared, or the system does not support Atomics, there is a single thread touching the state
+ * and blocking waits can never be satisfied, in that case blocking functions throw instead of hanging and their async
+ * versions yield to the event loop until the state changes.
+ * @class SyncPrimitive
+ * @param {MemoryBlock} memory - The memory block containing the state of the primitive.
+ * @param {number} address - The address, relative to the memory block, of the state. Must be a multiple of 4.
+ * @param {number} length - The number of 32 bit words in the state.
+ */
+export class SyncPrimitive {
+    constructor(memory, address, length) {
+        this.mMemory = memory;
+        this.mAddress = address;
+        this.mLength = length;
+        this.mView = null;
+        this.mViewAddress = -1;
+        this.mRelocationListener = () => {
+            this.mView = null;
+        };
+        this.mMemory.addRelocationListener(this.mRelocationListener);
+    }
+
+    /**
+     * The memory block containing the state of this primitive.
+     * @type {MemoryBlock}
+     */
+    get memory() {
+        return this.mMemory;
+    }
+
+    /**
+     * The address, relative to the memory block, of the state of this primitive.
+     * @type {number}
+     */
+    get address() {
+        return this.mAddress;
+    }
+
+    /**
+     * Can this primitive block the calling thread while it waits for another thread.
+     * @type {boolean}
+     */
+    get blocking() {
+        return typeof Atomics !== 'undefined' && !(this.mMemory.buffer instanceof ArrayBuffer);
+    }
+
+    /**
+     * Destroys this primitive and frees the memory block containing its state. Only primitives that own their memory
+     * block, such as the ones created with their `create` function, should be destroyed.
+     */
+    destroy() {
+        this.mMemory.removeRelocationListener(this.mRelocationListener);
+        this.mMemory.free();
+        this.mMemory = null;
+        this.mView = null;
+    }
+
+    /**
+     * Returns an Int32Array view of this primitive's state, the view is dropped when the memory block is moved and
+     * recreated on the next access, or when the heap grows.
+     * @return {Int32Array}
+     * @private
+     */
+    _state() {
+        const buffer = this.mMemory.buffer;
+        const address = this.mMemory.address + this.mAddress;
+        if (!this.mView || this.mView.buffer !== buffer || this.mViewAddress !== address) {
+            this.mView = new Int32Array(buffer, address, this.mLength);
+            this.mViewAddress = address;
+        }
+        return this.mView;
+    }
+
+    /**
+     * Blocks the calling thread while the state at the specified index is equal to the specified value, or until the
+     * thread is notified.
+     * @param {number} index - The index of the state word to wait on.
+     * @param {number} value - The value to wait on.
+     * @private
+     */
+    _wait(index, value) {
+        if (!this.blocking) {
+            throw new KrudaError(`${this.constructor.name} would block forever, its memory is not shared between threads, use the async functions instead`);
+        }
+        Atomize.wait(this._state(), index, value);
+    }
+
+    /**
+     * Waits, without blocking the calling thread, while the state at the specified index is equal to the specified
+     * value, or until the thread is notified. Uses `Atomics.waitAsync` when available, otherwise yields to the event
+     * loop.
+     * @param {number} index - The index of the state word to wait on.
+     * @param {number} value - The value to wait on.
+     * @return {Promise<void>}
+     * @private
+     */
+    async _waitAsync(index, value) {
+        if (this.blocking && Atomics.waitAsync) {
+            const result = Atomics.waitAsync(this._state(), index, value);
+            if (result.async) {
+                await result.value;
+            }
+        } else {
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+
+    /**
+     * Wakes up the specified number of threads waiting on the state at the specified index.
+     * @param {number} index - The index of the state word.
+     * @param {number} count - The number of threads to wake up.
+     * @private
+     */
+    _notify(index, count) {
+        if (this.blocking) {
+            Atomize.notify(this._state(), index, count);
+        }
+    }
+}
@@ -20,6 +20,7 @@
  * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
  * SOFTWARE.
  */
+import {KrudaBoundsError, KrudaNotImplementedError, KrudaTypeError} from './Errors';
 
 /**
  * name property symbol
@@ -49,6 +50,41 @@ const kBitSize = Symbol('Type::bitSize');
  */
 const kIsPrimitive = Symbol('Type::isPrimitive');
 
+/**
+ * typedArray property symbol
+ * @type {symbol}
+ * @private
+ */
+const kTypedArray = Symbol('Type::typedArray');
+
+/**
+ * alignment property symbol
+ * @type {symbol}
+ * @private
+ */
+const kAlignment = Symbol('Type::alignment');
+
+/**
+ * isStruct property symbol
+ * @type {symbol}
+ * @private
+ */
+const kIsStruct = Symbol('Type::isStruct');
+
+/**
+ * isArray property symbol
+ * @type {symbol}
+ * @private
+ */
+const kIsArray = Symbol('Type::isArray');
+
+/**
+ * isDecimal property symbol
+ * @type {symbol}
+ * @private
+ */
+const kIsDecimal = Symbol('Type::isDecimal');
+
 /**
  * Dictionary to keep track of registered types. Type names must be unique.
  * @type {Map<string, Type>}
@@ -56,34 +92,53 @@ const kIsPrimitive = Symbol('Type::isPrimitive');
  */
 const kTypeMap = new Map();
 
+/**
+ * Checks if the bit and byte sizes of a type are consistent, `bitSize` must be x8 bigger than `byteSize` except for
+ * bit-packed types, such as `Bool`, which are one bit in size but take a whole byte when they are not packed.
+ * @param {number} byteSize - Size in bytes of the type.
+ * @param {number} bitSize - Size in bits of the type.
+ * @return {boolean}
+ * @private
+ */
+function sizesAreConsistent(byteSize, bitSize) {
+    return bitSize / byteSize === 8 || (byteSize === 1 && bitSize === 1);
+}
+
 /**
  * Creates a new type instance.
  * In DEBUG mode performs checks if the bit and byte sizes are consistent.
  * @class Type
  * @param {string} name - The name of the type to create
  * @param {number} byteSize - Size in bytes of this type
- * @param {number} bitSize - Size in bits of this type, must be x8 bigger than `byteSize`
+ * @param {number} bitSize - Size in bits of this type, must be x8 bigger than `byteSize`, or 1 for bit-packed types
+ * @param {number=} alignment - The alignment, in bytes, of values of this type when laid out in a struct. Defaults to
+ * `byteSize`.
  */
 export class Type {
-    constructor(name, byteSize = 0, bitSize = 0) {
+    constructor(name, byteSize = 0, bitSize = 0, alignment = byteSize) {
         /// #if !_DEBUG
         /*
         /// #endif
-        if (bitSize / byteSize !== 8) {
-            throw 'ERROR: Inconsistent byteSize and bitSize';
+        if (!sizesAreConsistent(byteSize, bitSize)) {
+            throw new KrudaTypeError('Inconsistent byteSize and bitSize');
         }
         /// #if !_DEBUG
          */
         /// #endif
 
         if (kTypeMap.has(name)) {
-            throw 'ERROR: Type names must be unique';
+            throw new KrudaTypeError(`Type names must be unique (${name})`);
         }
 
         this[kName] = name;
         this[kByteSize] = byteSize;
         this[kBitSize] = bitSize;
         this[kIsPrimitive] = false;
+        this[kTypedArray] = null;
+        this[kAlignment] = alignment;
+        this[kIsStruct] = false;
+        this[kIsArray] = false;
+        this[kIsDecimal] = false;
 
         kTypeMap.set(name, this);
     }
@@ -100,7 +155,7 @@ export class Type {
         /*
         /// #endif
         if (!this.isType(t)) {
-            throw `ERROR: Cannot get the size of non-type-descriptor object ${t}`;
+            throw new KrudaTypeError(`Cannot get the size of non-type-descriptor object ${t}`);
         }
         /// #if !_DEBUG
          */
@@ -115,7 +170,7 @@ export class Type {
      * @static
      */
     static isType(t) {
-        return (t instanceof Type) && t.bitSize / t.byteSize === 8;
+        return (t instanceof Type) && sizesAreConsistent(t.byteSize, t.bitSize);
     }
 
     /**
@@ -130,7 +185,7 @@ export class Type {
         /*
         /// #endif
         if (!this.isType(t)) {
-            throw `ERROR: Cannot non-type-descriptor object is a primitive type ${t}`;
+            throw new KrudaTypeError(`Cannot check if non-type-descriptor object is a primitive type ${t}`);
         }
         /// #if !_DEBUG
          */
@@ -138,6 +193,36 @@ export class Type {
         return t[kIsPrimitive];
     }
 
+    /**
+     * Inspects the specified type and returns whether or not the type is a struct type created with `struct`.
+     * @param {Type} t - The type to inspect
+     * @return {boolean}
+     * @static
+     */
+    static isStruct(t) {
+        return t instanceof Type && t[kIsStruct];
+    }
+
+    /**
+     * Inspects the specified type and returns whether or not the type is an array type created with `array`.
+     * @param {Type} t - The type to inspect
+     * @return {boolean}
+     * @static
+     */
+    static isArray(t) {
+        return t instanceof Type && t[kIsArray];
+    }
+
+    /**
+     * Inspects the specified type and returns whether or not the type is a decimal type created with `decimal`.
+     * @param {Type} t - The type to inspect
+     * @return {boolean}
+     * @static
+     */
+    static isDecimal(t) {
+        return t instanceof Type && t[kIsDecimal];
+    }
+
     /**
      * If a type with the specified name exists, this function returns it.
      * @param {string} name - The name of the type to look for.
@@ -172,6 +257,23 @@ export class Type {
         return this[kBitSize];
     }
 
+    /**
+     * Returns the TypedArray class that can view values of this type, `null` if this type cannot be viewed through a
+     * TypedArray.
+     * @type {Function|null}
+     */
+    get typedArray() {
+        return this[kTypedArray];
+    }
+
+    /**
+     * Returns the alignment, in bytes, of values of this type when laid out in a struct.
+     * @type {number}
+     */
+    get alignment() {
+        return this[kAlignment];
+    }
+
     /* eslint-disable */
     /**
      * Utility function to read a value of this type from memory.
@@ -180,7 +282,7 @@ export class Type {
      * @return {*}
      */
     get(view, offset) {
-        throw 'Not implemented';
+        throw new KrudaNotImplementedError();
     }
 
     /**
@@ -190,7 +292,7 @@ export class Type {
      * @param {*} value - The value to write.
      */
     set(view, offset, value) {
-        throw 'Not implemented';
+        throw new KrudaNotImplementedError();
     }
     /* eslint enable*/
 }
@@ -222,6 +324,33 @@ export function sizeof(t) {
     return Type.sizeOf(t);
 }
 
+/**
+ * Utility function, the same as `Type.isStruct`
+ * @param {Type} t - The type to inspect
+ * @return {boolean}
+ */
+export function isStructType(t) {
+    return Type.isStruct(t);
+}
+
+/**
+ * Utility function, the same as `Type.isArray`
+ * @param {Type} t - The type to inspect
+ * @return {boolean}
+ */
+export function isArrayType(t) {
+    return Type.isArray(t);
+}
+
+/**
+ * Utility function, the same as `Type.isDecimal`
+ * @param {Type} t - The type to inspect
+ * @return {boolean}
+ */
+export function isDecimalType(t) {
+    return Type.isDecimal(t);
+}
+
 /**
  * Utility function, the same as `Type.getTypeByName`
  * @param {string} name - The name of the type to look for.
@@ -238,6 +367,7 @@ class _Int8 extends Type {
     constructor() {
         super('Int8', 1, 8);
         this[kIsPrimitive] = true;
+        this[kTypedArray] = Int8Array;
     }
 
     get(view, offset) {
@@ -261,6 +391,7 @@ class _Int16 extends Type {
     constructor() {
         super('Int16', 2, 16);
         this[kIsPrimitive] = true;
+        this[kTypedArray] = Int16Array;
     }
 
     get(view, offset) {
@@ -284,6 +415,7 @@ class _Int32 extends Type {
     constructor() {
         super('Int32', 4, 32);
         this[kIsPrimitive] = true;
+        this[kTypedArray] = Int32Array;
     }
 
     get(view, offset) {
@@ -307,6 +439,7 @@ class _Uint8 extends Type {
     constructor() {
         super('Uint8', 1, 8);
         this[kIsPrimitive] = true;
+        this[kTypedArray] = Uint8Array;
     }
 
     get(view, offset) {
@@ -330,6 +463,7 @@ class _Uint16 extends Type {
     constructor() {
         super('Uint16', 2, 16);
         this[kIsPrimitive] = true;
+        this[kTypedArray] = Uint16Array;
     }
 
     get(view, offset) {
@@ -353,6 +487,7 @@ class _Uint32 extends Type {
     constructor() {
         super('Uint32', 4, 32);
         this[kIsPrimitive] = true;
+        this[kTypedArray] = Uint32Array;
     }
 
     get(view, offset) {
@@ -376,6 +511,7 @@ class _Float32 extends Type {
     constructor() {
         super('Float32', 4, 32);
         this[kIsPrimitive] = true;
+        this[kTypedArray] = Float32Array;
     }
 
     get(view, offset) {
@@ -392,6 +528,451 @@ class _Float32 extends Type {
  */
 export const Float32 = new _Float32();
 
+/**
+ * @extends Type
+ */
+class _Float64 extends Type {
+    constructor() {
+        super('Float64', 8, 64);
+        this[kIsPrimitive] = true;
+        this[kTypedArray] = Float64Array;
+    }
+
+    get(view, offset) {
+        return view.getFloat64(offset, true);
+    }
+
+    set(view, offset, value) {
+        view.setFloat64(offset, value, true);
+    }
+}
+
+/**
+ * @type {_Float64}
+ */
+export const Float64 = new _Float64();
+
+/**
+ * Converts the specified value to a BigInt, numbers are truncated towards zero.
+ * @param {bigint|number|string} value - The value to convert.
+ * @return {bigint}
+ * @private
+ */
+function toBigInt(value) {
+    return typeof value === 'number' ? BigInt(Math.trunc(value)) : BigInt(value);
+}
+
+/**
+ * 64 bit signed integer type, values are read as BigInt.
+ * @extends Type
+ */
+class _Int64 extends Type {
+    constructor() {
+        super('Int64', 8, 64);
+        this[kIsPrimitive] = true;
+        this[kTypedArray] = BigInt64Array;
+    }
+
+    get(view, offset) {
+        return view.getBigInt64(offset, true);
+    }
+
+    set(view, offset, value) {
+        view.setBigInt64(offset, toBigInt(value), true);
+    }
+}
+
+/**
+ * @type {_Int64}
+ */
+export const Int64 = new _Int64();
+
+/**
+ * 64 bit unsigned integer type, values are read as BigInt.
+ * @extends Type
+ */
+class _Uint64 extends Type {
+    constructor() {
+        super('Uint64', 8, 64);
+        this[kIsPrimitive] = true;
+        this[kTypedArray] = BigUint64Array;
+    }
+
+    get(view, offset) {
+        return view.getBigUint64(offset, true);
+    }
+
+    set(view, offset, value) {
+        view.setBigUint64(offset, toBigInt(value), true);
+    }
+}
+
+/**
+ * @type {_Uint64}
+ */
+export const Uint64 = new _Uint64();
+
+/**
+ * Strings parsed as `true` by the Bool type.
+ * @type {Set<string>}
+ * @private
+ */
+const kTrueStrings = new Set(['true', 'yes', '1']);
+
+/**
+ * Boolean type, values are stored as one byte in `RELATIONAL` tables and packed as bits in `COLUMNAR` tables, its
+ * `bitSize` is 1.
+ * @extends Type
+ */
+class _Bool extends Type {
+    constructor() {
+        super('Bool', 1, 1);
+        this[kIsPrimitive] = true;
+    }
+
+    get(view, offset) {
+        return view.getUint8(offset) !== 0;
+    }
+
+    set(view, offset, value) {
+        view.setUint8(offset, value ? 1 : 0);
+    }
+
+    /**
+     * Converts the specified value to a boolean. Strings are true when they read `true`, `yes` or `1`, ignoring case
+     * and surrounding white space, any other value is converted using JavaScript's truthiness.
+     * @param {*} value - The value to convert.
+     * @return {boolean}
+     * @memberof Bool
+     */
+    parse(value) {
+        if (typeof value === 'string' || value instanceof String) {
+            return kTrueStrings.has(value.trim().toLowerCase());
+        }
+        return Boolean(value);
+    }
+}
+
+/**
+ * @type {_Bool}
+ */
+export const Bool = new _Bool();
+
+/**
+ * Time part of the date formats parsed by the Timestamp type, hours, minutes, optional seconds and fractions of a
+ * second, and an optional UTC offset.
+ * @type {string}
+ * @private
+ */
+const kTimeSource = '(?:[T ](\\d{1,2}):(\\d{2})(?::(\\d{2})(?:\\.(\\d+))?)?)?\\s*(Z|[+-]\\d{2}:?\\d{2})?$';
+
+/**
+ * Year first dates: `YYYY-MM-DD`, `YYYY/MM/DD` or `YYYY.MM.DD`, ISO 8601 when followed by a time.
+ * @type {RegExp}
+ * @private
+ */
+const kYearFirstDate = new RegExp(`^(\\d{4})([-/.])(\\d{1,2})\\2(\\d{1,2})${kTimeSource}`, 'i');
+
+/**
+ * Month first dates: `MM/DD/YYYY`.
+ * @type {RegExp}
+ * @private
+ */
+const kMonthFirstDate = new RegExp(`^(\\d{1,2})/(\\d{1,2})/(\\d{4})${kTimeSource}`, 'i');
+
+/**
+ * Month names, dates containing one are parsed with `Date.parse`.
+ * @type {RegExp}
+ * @private
+ */
+const kMonthName = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b/i;
+
+/**
+ * Computes the milliseconds since epoch of the specified date parts, returns NaN if they do not represent a valid date.
+ * @param {number} year - The year.
+ * @param {number} month - The month, from 1 to 12.
+ * @param {number} day - The day of the month.
+ * @param {Array<string|undefined>} time - Hours, minutes, seconds, fraction of a second and UTC offset strings.
+ * @return {number}
+ * @private
+ */
+function dateToTimestamp(year, month, day, time) {
+    const hours = parseInt(time[0] || '0', 10);
+    const minutes = parseInt(time[1] || '0', 10);
+    const seconds = parseInt(time[2] || '0', 10);
+    const milliseconds = time[3] ? Math.round(parseFloat(`0.${time[3]}`) * 1000) : 0;
+    if (month < 1 || month > 12 || day < 1 || hours > 23 || minutes > 59 || seconds > 59) {
+        return NaN;
+    }
+
+    const timestamp = Date.UTC(year, month - 1, day, hours, minutes, seconds, milliseconds);
+    if (new Date(timestamp).getUTCDate() !== day) {
+        return NaN;
+    }
+
+    const zone = time[4];
+    if (!zone || zone.toUpperCase() === 'Z') {
+        return timestamp;
+    }
+
+    const digits = zone.replace(':', '');
+    const offset = parseInt(digits.substr(1, 2), 10) * 60 + parseInt(digits.substr(3, 2), 10);
+    return timestamp - (digits[0] === '-' ? -offset : offset) * 60000;
+}
+
+/**
+ * Timestamp type, values are stored as the number of milliseconds since the UNIX epoch in a 64 bit float and read as
+ * numbers. Dates, numbers and date strings can be written.
+ * @extends Type
+ */
+class _Timestamp extends Type {
+    constructor() {
+        super('Timestamp', 8, 64);
+        this[kIsPrimitive] = true;
+        this[kTypedArray] = Float64Array;
+    }
+
+    get(view, offset) {
+        return view.getFloat64(offset, true);
+    }
+
+    set(view, offset, value) {
+        view.setFloat64(offset, typeof value === 'number' ? value : this.parse(value), true);
+    }
+
+    /**
+     * Converts the specified value to the number of milliseconds since the UNIX epoch. Numbers are returned as they
+     * are, dates are converted and strings are parsed as dates.
+     * Supported date strings are `YYYY-MM-DD`, `YYYY/MM/DD`, `YYYY.MM.DD` and `MM/DD/YYYY`, optionally followed by a
+     * time (`HH:mm`, `HH:mm:ss` or `HH:mm:ss.sss`) and a UTC offset (`Z` or `±HH:mm`), dates without an offset are
+     * read as UTC. Dates containing month names, such as `Tue, 02 Jan 2001 10:30:00 GMT`, are parsed with
+     * `Date.parse`. Values that cannot be parsed return NaN.
+     * @param {Date|number|string} value - The value to convert.
+     * @return {number}
+     * @memberof Timestamp
+     */
+    parse(value) {
+        if (typeof value === 'number') {
+            return value;
+        }
+
+        if (value instanceof Date) {
+            return value.getTime();
+        }
+
+        if (typeof value !== 'string' && !(value instanceof String)) {
+            return NaN;
+        }
+
+        const str = value.trim();
+        let match = kYearFirstDate.exec(str);
+        if (match) {
+            return dateToTimestamp(parseInt(match[1], 10), parseInt(match[3], 10), parseInt(match[4], 10), match.slice(5));
+        }
+
+        match = kMonthFirstDate.exec(str);
+        if (match) {
+            return dateToTimestamp(parseInt(match[3], 10), parseInt(match[1], 10), parseInt(match[2], 10), match.slice(4));
+        }
+
+        if (kMonthName.test(str) && (/\d/).test(str)) {
+            return Date.parse(str);
+        }
+
+        return NaN;
+    }
+}
+
+/**
+ * @type {_Timestamp}
+ */
+export const Timestamp = new _Timestamp();
+
+/**
+ * Decimal numbers, with an optional sign, fraction and exponent, parsed by decimal types.
+ * @type {RegExp}
+ * @private
+ */
+const kDecimalString = /^([-+])?(\d*)(?:\.(\d*))?(?:e([-+]?\d+))?$/i;
+
+/**
+ * The maximum scale of decimal types, so at least one integer digit fits in each storage type.
+ * @type {Map<Type, number>}
+ * @private
+ */
+const kMaxDecimalScale = new Map([
+    [Int32, 9],
+    [Int64, 18],
+]);
+
+/**
+ * Fixed-point decimal type, values are stored as integers scaled by `10^scale` so they are represented exactly, i.e.
+ * `12.34` is stored as `1234` in a `Decimal(2)` column. Values are read as strings formatted with `scale` decimals and
+ * can be written as strings, numbers or BigInts, writing a value that does not fit in the storage type throws a
+ * `KrudaBoundsError` and writing a value that is not a number throws a `KrudaTypeError`.
+ * @extends Type
+ */
+class _Decimal extends Type {
+    constructor(name, scale, storageType) {
+        super(name, storageType.byteSize, storageType.bitSize, storageType.alignment);
+        this[kIsPrimitive] = true;
+        this[kIsDecimal] = true;
+        this[kTypedArray] = storageType.typedArray;
+        this.mScale = scale;
+        this.mStorageType = storageType;
+        // number of digits of the largest scaled value the storage type can hold
+        this.mMaxDigits = (2 ** (storageType.bitSize - 1)).toString().length;
+    }
+
+    /**
+     * The number of decimals of the values of this type.
+     * @type {number}
+     */
+    get scale() {
+        return this.mScale;
+    }
+
+    /**
+     * The integer type the scaled values of this type are stored as, `Int32` or `Int64`.
+     * @type {Type}
+     */
+    get storageType() {
+        return this.mStorageType;
+    }
+
+    get(view, offset) {
+        return this.format(this.mStorageType.get(view, offset));
+    }
+
+    set(view, offset, value) {
+        const scaled = this.parse(value);
+        if (scaled === null) {
+            throw new KrudaTypeError(`${this.name} fields can only be set to numbers`);
+        }
+        this.setScaled(view, offset, scaled);
+    }
+
+    /**
+     * Writes an integer already scaled by `10^scale`. Throws a `KrudaBoundsError` if the value does not fit in the
+     * storage type of this type instead of letting it wrap around.
+     * @param {DataView} view - The view to write the value to.
+     * @param {number} offset - The offset, in bytes, of the value within the view.
+     * @param {bigint|number} scaled - The scaled integer to write.
+     * @memberof Decimal
+     */
+    setScaled(view, offset, scaled) {
+        const value = BigInt(scaled);
+        const bitSize = this.mStorageType.bitSize;
+        if (BigInt.asIntN(bitSize, value) !== value) {
+            throw new KrudaBoundsError(`Value out of range for a ${this.name} field`, Number(value), 2 ** (bitSize - 1));
+        }
+        this.mStorageType.set(view, offset, this.mStorageType === Int32 ? Number(value) : value);
+    }
+
+    /**
+     * Converts the specified value to an integer scaled by `10^scale`. Values with more decimals than the scale of this
+     * type are rounded half away from zero, or towards negative or positive infinity when `rounding` is `floor` or
+     * `ceil`. Numbers are converted from their shortest string representation so `0.1` is parsed exactly. Values with
+     * more integer digits than the storage type can hold are clamped to `10^digits`, which is still out of its range.
+     * Returns null if the value is not a number.
+     * @param {bigint|number|string} value - The value to convert.
+     * @param {string=} rounding - How to round the decimals that do not fit, `round`, `floor` or `ceil`. Defaults to
+     * `round`.
+     * @return {bigint|null}
+     * @memberof Decimal
+     */
+    parse(value, rounding = 'round') {
+        const match = kDecimalString.exec(value.toString().trim());
+        if (!match || !(match[2] || match[3])) {
+            return null;
+        }
+
+        const integerDigits = match[2] || '';
+        let digits = integerDigits + (match[3] || '');
+        // position of the decimal point within the digits once scaled
+        let point = integerDigits.length + this.mScale + (match[4] ? parseInt(match[4], 10) : 0);
+
+        // the exponent is not trusted, leading zeros are dropped and the digits are never padded beyond the storage type
+        const significant = digits.replace(/^0+/, '');
+        point -= digits.length - significant.length;
+        digits = significant;
+        if (!digits.length) {
+            return BigInt(0);
+        } else if (point > this.mMaxDigits) {
+            digits = '1';
+            point = this.mMaxDigits + 1;
+        } else if (point < 0) {
+            // every digit is a decimal that does not fit, one leading zero is enough to round them
+            digits = `0${digits}`;
+            point = 0;
+        }
+
+        if (point > digits.length) {
+            digits += '0'.repeat(point - digits.length);
+        }
+
+        const negative = match[1] === '-';
+        const fraction = digits.substr(point);
+        let scaled = BigInt(digits.substr(0, point) || '0');
+        let roundUp = fraction[0] >= '5';
+        if (rounding === 'floor') {
+            roundUp = negative;
+        } else if (rounding === 'ceil') {
+            roundUp = !negative;
+        }
+        if (roundUp && (/[1-9]/).test(fraction)) {
+            scaled += BigInt(1);
+        }
+        return negative ? -scaled : scaled;
+    }
+
+    /**
+     * Formats an integer scaled by `10^scale`, as stored in memory, as a decimal string with `scale` decimals.
+     * @param {bigint|number} scaled - The scaled value to format.
+     * @return {string}
+     * @memberof Decimal
+     */
+    format(scaled) {
+        const negative = scaled < 0;
+        const digits = (negative ? -scaled : scaled).toString().padStart(this.mScale + 1, '0');
+        const sign = negative ? '-' : '';
+        if (!this.mScale) {
+            return sign + digits;
+        }
+        return `${sign}${digits.substr(0, digits.length - this.mScale)}.${digits.substr(digits.length - this.mScale)}`;
+    }
+}
+
+/**
+ * Creates a fixed-point decimal type with the specified number of decimals, stored as `Int64`, or `Int32`, scaled
+ * integers. Decimal types are named after their scale, `Decimal(2)` for `Int64` storage and `Decimal32(2)` for `Int32`
+ * storage, calling this function again with the same parameters returns the same type instance.
+ * @param {number} scale - The number of decimals of the values, up to 18 for `Int64` storage and 9 for `Int32`.
+ * @param {Type=} type - The integer type the scaled values are stored as, `Int64` or `Int32`. Defaults to `Int64`.
+ * @return {_Decimal}
+ */
+export function decimal(scale, type = Int64) {
+    /// #if !_DEBUG
+    /*
+    /// #endif
+    if (!kMaxDecimalScale.has(type)) {
+        throw new KrudaTypeError(`Decimal values can only be stored as Int32 or Int64 (${type && type.name})`);
+    }
+    if (!Number.isInteger(scale) || scale < 0 || scale > kMaxDecimalScale.get(type)) {
+        throw new KrudaTypeError(`Invalid decimal scale (${scale})`);
+    }
+    /// #if !_DEBUG
+     */
+    /// #endif
+
+    const name = `${type === Int32 ? 'Decimal32' : 'Decimal'}(${scale})`;
+    const existing = kTypeMap.get(name);
+    if (existing) {
+        return existing;
+    }
+    return new _Decimal(name, scale, type);
+}
+
 /**
  * Void type (not to be confused with the `void` value.
  * @extends Type
@@ -403,11 +984,11 @@ class _Void extends Type {
     }
 
     get() {
-        throw 'Cannot get the value of void, you must use type casting';
+        throw new KrudaTypeError('Cannot get the value of void, you must use type casting');
     }
 
     set() {
-        throw ' Cannot set the value of void, you must use type casting';
+        throw new KrudaTypeError('Cannot set the value of void, you must use type casting');
     }
 }
 
@@ -415,3 +996,225 @@ class _Void extends Type {
  * @type {_Void}
  */
 export const Void = new _Void();
+
+/**
+ * @typedef StructField
+ * @type {Object}
+ * @property {string} name - The name of the field.
+ * @property {Type} type - The type of the field.
+ * @property {number} offset - The offset, in bytes, of the field from the beginning of the struct.
+ */
+
+/**
+ * Creates the class used to access the fields of the values of a struct type. Instances of the class read and write
+ * their fields directly from memory.
+ * @param {StructField[]} fields - The fields in the struct.
+ * @return {Function}
+ * @private
+ */
+function createStructAccessor(fields) {
+    class StructAccessor {
+        constructor(view, offset) {
+            this.mView = view;
+            this.mOffset = offset;
+        }
+
+        toJSON() {
+            const result = {};
+            for (let i = 0, n = fields.length; i < n; ++i) {
+                result[fields[i].name] = this[fields[i].name];
+            }
+            return result;
+        }
+    }
+
+    for (let i = 0, n = fields.length; i < n; ++i) {
+        const field = fields[i];
+        Object.defineProperty(StructAccessor.prototype, field.name, {
+            get() {
+                return field.type.get(this.mView, this.mOffset + field.offset);
+            },
+            set(value) {
+                field.type.set(this.mView, this.mOffset + field.offset, value);
+            },
+            enumerable: true,
+        });
+    }
+
+    return StructAccessor;
+}
+
+/**
+ * Compound type made of named fields of other types. Fields are laid out in the order they are declared, each aligned
+ * to the alignment of its type, and the size of the struct is padded to a multiple of its alignment.
+ * Reading a struct value returns an object with a property for each field that reads and writes the memory directly.
+ * @extends Type
+ */
+class _Struct extends Type {
+    constructor(name, fields, signature, size, alignment) {
+        super(name, size, size * 8, alignment);
+        this[kIsStruct] = true;
+        this.mFields = fields;
+        this.mSignature = signature;
+        this.mAccessor = createStructAccessor(fields);
+    }
+
+    /**
+     * The fields in this struct, in the order they are laid out in memory.
+     * @type {StructField[]}
+     */
+    get fields() {
+        return this.mFields;
+    }
+
+    get(view, offset) {
+        return new this.mAccessor(view, offset);
+    }
+
+    set(view, offset, value) {
+        for (let i = 0, n = this.mFields.length; i < n; ++i) {
+            const field = this.mFields[i];
+            if (value[field.name] !== undefined) {
+                field.type.set(view, offset + field.offset, value[field.name]);
+            }
+        }
+    }
+}
+
+/**
+ * Creates a struct type with the specified fields. The offset of each field is computed from the order in which the
+ * fields are declared and the alignment of their types.
+ * Struct types are registered as any other type, calling this function again with the same fields returns the same
+ * type instance. When no name is specified one is generated from the fields, i.e. `struct{x:Float32,y:Float32}`.
+ * @param {Object<string, Type>} fields - The name and type of each field in the struct.
+ * @param {string|null=} name - The name of the new type, defaults to a name generated from the fields.
+ * @return {_Struct}
+ */
+export function struct(fields, name = null) {
+    const names = Object.keys(fields);
+    /// #if !_DEBUG
+    /*
+    /// #endif
+    if (!names.length) {
+        throw new KrudaTypeError('Structs must have at least one field');
+    }
+    /// #if !_DEBUG
+     */
+    /// #endif
+
+    const structFields = [];
+    let signature = '';
+    let alignment = 1;
+    let offset = 0;
+
+    for (let i = 0, n = names.length; i < n; ++i) {
+        const type = fields[names[i]];
+        /// #if !_DEBUG
+        /*
+        /// #endif
+        if (!Type.isType(type) || type === Void) {
+            throw new KrudaTypeError(`Invalid type for struct field "${names[i]}"`);
+        }
+        /// #if !_DEBUG
+         */
+        /// #endif
+        offset = Math.ceil(offset / type.alignment) * type.alignment;
+        structFields.push(Object.freeze({
+            name: names[i],
+            type,
+            offset,
+        }));
+        offset += type.byteSize;
+        alignment = Math.max(alignment, type.alignment);
+        signature += `${i ? ',' : ''}${names[i]}:${type.name}`;
+    }
+
+    const typeName = name || `struct{${signature}}`;
+    const existing = kTypeMap.get(typeName);
+    if (existing) {
+        if (Type.isStruct(existing) && existing.mSignature === signature) {
+            return existing;
+        }
+        throw new KrudaTypeError(`Type names must be unique (${typeName})`);
+    }
+
+    return new _Struct(typeName, Object.freeze(structFields), signature, Math.ceil(offset / alignment) * alignment, alignment);
+}
+
+/**
+ * Fixed-size array of values of another type. Reading an array value returns a TypedArray viewing the memory directly,
+ * writing one copies the components of any array-like value, components missing from the value are left untouched.
+ * @extends Type
+ */
+class _Array extends Type {
+    constructor(elementType, length) {
+        super(`${elementType.name}[${length}]`, elementType.byteSize * length, elementType.bitSize * length, elementType.alignment);
+        this[kIsArray] = true;
+        this.mElementType = elementType;
+        this.mLength = length;
+    }
+
+    /**
+     * The type of the components in this array.
+     * @type {Type}
+     */
+    get elementType() {
+        return this.mElementType;
+    }
+
+    /**
+     * The number of components in this array.
+     * @type {number}
+     */
+    get length() {
+        return this.mLength;
+    }
+
+    get(view, offset) {
+        return new this.mElementType.typedArray(view.buffer, view.byteOffset + offset, this.mLength);
+    }
+
+    set(view, offset, value) {
+        /// #if !_DEBUG
+        /*
+        /// #endif
+        if (value.length > this.mLength) {
+            throw new KrudaBoundsError(`Cannot write ${value.length} components to a value of type ${this.name}`, value.length, this.mLength + 1);
+        }
+        /// #if !_DEBUG
+         */
+        /// #endif
+        this.get(view, offset).set(value);
+    }
+}
+
+/**
+ * Creates a fixed-size array type of `length` components of the specified type, i.e. `array(Float32, 128)` for 128
+ * dimension embeddings. Only types that can be viewed through a TypedArray can be used as components, table rows and
+ * columns are aligned to their widest type so array values in tables can always be viewed without copying.
+ * Array types are named after their components, i.e. `Float32[128]`, calling this function again with the same
+ * parameters returns the same type instance.
+ * @param {Type} type - The type of the components in the array.
+ * @param {number} length - The number of components in the array.
+ * @return {_Array}
+ */
+export function array(type, length) {
+    /// #if !_DEBUG
+    /*
+    /// #endif
+    if (!Type.isType(type) || !type.typedArray) {
+        throw new KrudaTypeError(`Invalid array component type ${type && type.name}`);
+    }
+    if (!Number.isInteger(length) || length < 1) {
+        throw new KrudaTypeError(`Invalid array length (${length})`);
+    }
+    /// #if !_DEBUG
+     */
+    /// #endif
+
+    const existing = kTypeMap.get(`${type.name}[${length}]`);
+    if (existing) {
+        return existing;
+    }
+    return new _Array(type, length);
+}
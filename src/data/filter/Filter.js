@@ -24,13 +24,17 @@ import * as Types from '../../core/Types';
 import FilterWorker from 'web-worker:./Filter.worker';
 import {FilterWorkerDummy} from './Filter.worker.dummy';
 import {FilterExpressionMode} from './FilterExpressionMode';
+import {FilterDatePart} from './FilterDatePart';
 import {coreCount} from '../../utils/CoreCount';
 import {WorkerPool} from 'dekkai/src/workers/WorkerPool';
 import {Header} from '../table/Header';
 import {kBinaryTypeMap} from '../types/TypeEnums';
+import {Text} from '../types/Text';
 import {Table} from '../table/Table';
+import {PartitionedTable} from '../table/PartitionedTable';
 import {ProxyTable} from '../proxy/ProxyTable';
 import {serializeMemoryBlock, serializeTable} from '../../utils/Serializer';
+import {KrudaBoundsError, KrudaSchemaError, KrudaTypeError} from '../../core/Errors';
 
 /**
  * Default, immutable object, representing a result index with the row index in it.
@@ -46,17 +50,18 @@ const kRowIndexResult = {
 Object.freeze(kRowIndexResult);
 
 /**
- * Class to create and run filters on tables.
+ * Class to create and run filters on tables. Tables with struct columns cannot be filtered.
  * Creates a Filter instance bound to the specified table.
  * @class Filter
- * @param {Table} table - The table this filter will be bound to.
+ * @param {Table|PartitionedTable} table - The table this filter will be bound to.
  * @param {number=} workerCount - The number of workers to spawn, should be the same as physical cores in the system, defaults to automatically detected.
- * @param {Heap=} heap - The heap to use to allocate the filter results memory, defaults to using the same heap where the table is allocated.
+ * @param {Heap|SegmentedHeap|Arena=} heap - The heap to use to allocate the filter results memory, defaults to using the same heap where the table, or its first partition, is allocated.
  */
 export class Filter {
-    constructor(table, workerCount = -1, heap = table.memory.heap) {
+    constructor(table, workerCount = -1, heap = null) {
         this.mTable = table;
-        this.mHeap = heap;
+        this._validateColumnTypes();
+        this.mHeap = heap || (table instanceof PartitionedTable ? table.partitions[0].memory.heap : table.memory.heap);
         this.mResultDescription = [kRowIndexResult];
         this.mResultRowSize = kRowIndexResult.size;
         this.mWorkerPool = null;
@@ -118,6 +123,8 @@ export class Filter {
             return kRowIndexResult;
         }
 
+        this._validateColumnName(columnName);
+
         const columns = this.mTable.header.columns;
         const names = this.mTable.header.names;
         return {
@@ -141,6 +148,10 @@ export class Filter {
         }
 
         const columns = this.mTable.header.columns;
+        if (columnIndex < 0 || columnIndex >= columns.length) {
+            throw new KrudaBoundsError('Column index out of bounds', columnIndex, columns.length);
+        }
+
         return {
             type: columns[columnIndex].type.name,
             size: columns[columnIndex].size,
@@ -158,10 +169,11 @@ export class Filter {
      * @return {Promise<Table|ProxyTable>}
      */
     async run(rules, mode = FilterExpressionMode.DNF, table = null) {
+        this._validateRules(rules);
         await this.mInitialized;
         const promises = [];
-        const resultTable = table || this._allocateResultTable();
-        const indices = this.mHeap.calloc(8);
+        const resultTable = table || await this._allocateResultTable();
+        const indices = await this.mHeap.callocAsync(8, { label: 'Filter indices' });
 
         for (let i = 0; i < this.mWorkerPool.workerCount; ++i) {
             const promise = this.mWorkerPool.scheduleTask('processFilters', {
@@ -176,11 +188,12 @@ export class Filter {
         }
 
         await Promise.all(promises);
+        await this.mHeap.freeAsync(indices);
 
         if (!table) {
-            const finalMemorySize = resultTable.header.length + resultTable.header.dataLength;
+            const finalMemorySize = resultTable.pack();
             if (finalMemorySize < resultTable.memory.size) {
-                resultTable.memory.heap.shrink(resultTable.memory, finalMemorySize);
+                await resultTable.memory.heap.shrinkAsync(resultTable.memory, finalMemorySize);
             }
 
             if (this.mResultDescription.length === 1 && this.mResultDescription[0] === kRowIndexResult) {
@@ -191,25 +204,122 @@ export class Filter {
         return resultTable;
     }
 
+    /**
+     * Utility function to make sure that all the columns referenced by the specified rules and by this filter's result
+     * description exist in the filtered table.
+     * @param {FilterExpression} rules - The rules to validate.
+     * @private
+     */
+    _validateRules(rules) {
+        if (rules) {
+            for (let i = 0, n = rules.length; i < n; ++i) {
+                for (let ii = 0, nn = rules[i].length; ii < nn; ++ii) {
+                    this._validateColumnName(rules[i][ii].field);
+                    if (rules[i][ii].extract) {
+                        this._validateDatePart(rules[i][ii].field, rules[i][ii].extract);
+                    }
+                }
+            }
+        }
+
+        for (let i = 0, n = this.mResultDescription.length; i < n; ++i) {
+            if (this.mResultDescription[i].column !== null) {
+                this._validateColumnName(this.mResultDescription[i].column);
+            }
+        }
+    }
+
+    /**
+     * Utility function to make sure that the filtered table can be sent to the filter workers. Struct types are
+     * registered per thread, the workers cannot rebuild them from the table header.
+     * @private
+     */
+    _validateColumnTypes() {
+        const columns = this.mTable.header.columns;
+        for (let i = 0, n = columns.length; i < n; ++i) {
+            if (Types.Type.isStruct(columns[i].type)) {
+                const name = columns[i].name.toString();
+                throw new KrudaSchemaError(`Tables with struct columns cannot be filtered ("${name}" is of type ${columns[i].type.name})`, name);
+            }
+        }
+    }
+
+    /**
+     * Utility function to make sure that a column with the specified name exists in the filtered table.
+     * @param {string} columnName - The name of the column to check.
+     * @private
+     */
+    _validateColumnName(columnName) {
+        if (!this.mTable.header.names.hasOwnProperty(columnName)) {
+            throw new KrudaSchemaError(`Unknown column "${columnName}"`, columnName);
+        }
+    }
+
+    /**
+     * Utility function to make sure that the specified date part can be extracted from the column with the specified
+     * name.
+     * @param {string} columnName - The name of the column the date part is extracted from.
+     * @param {FilterDatePart} part - The date part to extract.
+     * @private
+     */
+    _validateDatePart(columnName, part) {
+        const column = this.mTable.header.columns[this.mTable.header.names[columnName]];
+        if (column.type !== Types.Timestamp) {
+            throw new KrudaTypeError(`Cannot extract "${part}" from column "${columnName}" of type ${column.type.name}`);
+        }
+
+        if (Object.values(FilterDatePart).indexOf(part) === -1) {
+            throw new KrudaTypeError(`Unknown date part "${part}"`);
+        }
+    }
+
     /**
      * Utility function to allocate and initialize a table to store the results of this filter.
-     * @returns {Table}
+     * @returns {Promise<Table>}
      * @private
      */
-    _allocateResultTable() {
-        const maxDataLength = this.mResultRowSize * this.mTable.rowCount;
+    async _allocateResultTable() {
         const columns = [];
+        const names = this.mTable.header.names;
         for (let i = 0; i < this.mResultDescription.length; ++i) {
-            columns.push({
+            const column = {
                 name: this.mResultDescription[i].as || '',
                 type: this.mResultDescription[i].type,
                 length: this.mResultDescription[i].size,
-            });
+            };
+
+            // category codes are copied as they are, the results use the dictionary of the filtered column
+            if (this.mResultDescription[i].column !== null) {
+                const source = this.mTable.header.columns[names[this.mResultDescription[i].column]];
+                if (source.dictionary) {
+                    column.dictionary = source.dictionary;
+                }
+                if (source.nullable) {
+                    column.nullable = true;
+                }
+            }
+
+            columns.push(column);
         }
 
+        // the strings of text columns are copied to the results, reserve space for all the strings in the filtered table
+        let stringPoolLength = 0;
+        if (columns.some(column => column.type === Text.name)) {
+            const partitions = this.mTable instanceof PartitionedTable ? this.mTable.partitions : [this.mTable];
+            for (let i = 0, n = partitions.length; i < n; ++i) {
+                stringPoolLength += partitions[i].header.stringPoolLength;
+            }
+        }
+
+        // the row step includes the alignment and validity bits of the result rows
+        const maxDataLength = Header.descriptorFromColumns(columns).rowStep * this.mTable.rowCount;
         const binaryHeader = Header.binaryFromColumns(columns);
-        const memory = this.mHeap.malloc(maxDataLength + binaryHeader.byteLength);
-        return Table.emptyFromBinaryHeader(binaryHeader, memory);
+        const memory = await this.mHeap.mallocAsync(maxDataLength + binaryHeader.byteLength + stringPoolLength, { label: 'Filter result' });
+        const table = Table.emptyFromBinaryHeader(binaryHeader, memory);
+        if (stringPoolLength) {
+            table.header.setStringPoolOffset(binaryHeader.byteLength + maxDataLength);
+        }
+        return table;
     }
 
     /**
@@ -267,7 +377,7 @@ export class Filter {
             /*
             /// #endif
             if (type === undefined) {
-                throw `ERROR: Unsupported type (${resultDescription[i].type})`;
+                throw new KrudaTypeError(`Unsupported type (${resultDescription[i].type})`);
             }
             /// #if !_DEBUG
              */
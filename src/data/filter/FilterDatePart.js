@@ -0,0 +1,60 @@
+/*
+ * Copyright (c) 2019 Uncharted Software Inc.
+ * http://www.uncharted.software/
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Enum containing the parts of a `Timestamp` value that a filter rule can extract, using its `extract` property,
+ * before testing the value. Parts are computed in UTC.
+ * @enum
+ */
+const FilterDatePart = {
+    /**
+     * The full year, for example 2001
+     */
+    year: 'year',
+
+    /**
+     * The month, from 1 (January) to 12 (December)
+     */
+    month: 'month',
+
+    /**
+     * The day of the month, from 1 to 31
+     */
+    day: 'day',
+
+    /**
+     * The day of the week, from 0 (Sunday) to 6 (Saturday)
+     */
+    dayOfWeek: 'day_of_week',
+
+    /**
+     * The hour of the day, from 0 to 23
+     */
+    hour: 'hour',
+};
+
+/**
+ * @ignore
+ */
+Object.freeze(FilterDatePart);
+export {FilterDatePart};
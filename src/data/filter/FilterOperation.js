@@ -87,14 +87,41 @@ const FilterOperation = {
      * Filters for rows where the string value ends with the given value
      */
     endsWith: 'ends_with',
+
+    /**
+     * Filters for rows where the value, usually a `Timestamp`, is before the given value
+     */
+    before: 'before',
+
+    /**
+     * Filters for rows where the value, usually a `Timestamp`, is after the given value
+     */
+    after: 'after',
+
+    /**
+     * Filters for rows where the value, usually a `Timestamp`, is within the given `[start, end]` array of values,
+     * including `start` and excluding `end`
+     */
+    between: 'between',
+
+    /**
+     * Filters for rows where the value of a nullable field is null
+     */
+    isNull: 'is_null',
+
+    /**
+     * Filters for rows where the value of a nullable field is not null
+     */
+    isNotNull: 'is_not_null',
 };
 
 /**
  * Object describing a single rule used in a filter.
  * @typedef {Object} FilterRule
  * @property {string} field
- * @property {string|number} value
+ * @property {string|number|Array} value
  * @property {FilterOperation} operation
+ * @property {FilterDatePart} [extract] - Part of a `Timestamp` field to test instead of the whole value.
  */
 
 /**
@@ -21,16 +21,73 @@
  * SOFTWARE.
  */
 import {ByteString} from '../types/ByteString';
+import {Category} from '../types/Category';
+import {Text} from '../types/Text';
+import {Row} from '../table/Row';
+import {Bool, Int64, Timestamp, Uint64, isDecimalType} from '../../core/Types';
 import {Atomize} from '../../core/Atomize';
 import {FilterOperation} from './FilterOperation';
+import {FilterDatePart} from './FilterDatePart';
 import {FilterExpressionMode} from './FilterExpressionMode';
 import {deserializeMemoryBlock, deserializeTable} from '../../utils/Serializer';
 
+/**
+ * Parses a filter value to compare against 64 bit integer columns. Integer values are converted to BigInt so they can
+ * be tested for equality, any other value is parsed as a float, which BigInt values can still be compared against.
+ * @param {bigint|number|string} value - The value to parse.
+ * @return {bigint|number}
+ * @private
+ */
+function parseBigIntValue(value) {
+    if (typeof value === 'bigint') {
+        return value;
+    }
+
+    if (typeof value === 'string' && (/^\s*[-+]?\d+\s*$/).test(value)) {
+        return BigInt(value.trim());
+    }
+
+    const number = parseFloat(value);
+    return Number.isInteger(number) ? BigInt(number) : number;
+}
+
+/**
+ * Creates a function that extracts the specified part from the `Timestamp` values returned by `getter`.
+ * @param {FilterDatePart} part - The part of the date to extract.
+ * @param {function():number} getter - Function returning the timestamp to extract the part from.
+ * @return {function():number}
+ * @private
+ */
+function createDatePartGetter(part, getter) {
+    const date = new Date(0);
+    switch (part) {
+        case FilterDatePart.year:
+            return function getYear() { date.setTime(getter()); return date.getUTCFullYear(); };
+
+        case FilterDatePart.month:
+            return function getMonth() { date.setTime(getter()); return date.getUTCMonth() + 1; };
+
+        case FilterDatePart.day:
+            return function getDay() { date.setTime(getter()); return date.getUTCDate(); };
+
+        case FilterDatePart.dayOfWeek:
+            return function getDayOfWeek() { date.setTime(getter()); return date.getUTCDay(); };
+
+        case FilterDatePart.hour:
+            return function getHour() { date.setTime(getter()); return date.getUTCHours(); };
+
+        default:
+            break;
+    }
+    return getter;
+}
+
 /**
  * Class to process filters on Tables.
  * This class is meant to be used by filter workers, but it is safe to use on the main thread as well.
  * Creates a new instance and reconstructs the Heap, Memory Object and Table specified in the config object.
  * NOTE: Heap, MemoryBlock and Table classes are thread safe.
+ * Partitioned tables are processed transparently, row indices in the results are global to the partitioned table.
  * @class FilterProcessor
  * @param {{table: TableSerialized}} config - Configuration object.
  */
@@ -99,7 +156,8 @@ export class FilterProcessor {
      * @private
      */
     _generateResultWriter(resultTable, description, baseRow) {
-        const resultRow = resultTable.getRow(0);
+        // values are copied in their binary form, category codes and scaled decimals
+        const resultRow = new Row(resultTable, 0, true);
         const writers = [];
         for (let i = 0; i < description.length; ++i) {
             if (description[i].as) {
@@ -119,7 +177,7 @@ export class FilterProcessor {
         const writersLength = writers.length;
         let i;
         return function resultWriter(index) {
-            resultRow.index = resultTable.addRows(1);
+            resultRow.index = resultTable.header.addRows(1);
             for (i = 0; i < writersLength; ++i) {
                 writers[i](index);
             }
@@ -217,6 +275,67 @@ export class FilterProcessor {
     _generateRuleTester(rule, row) {
         const column = this.mTable.header.columns[row.names[rule.field]];
         const getter = row.accessors[row.names[rule.field]].getter;
+        switch (rule.operation) {
+            case FilterOperation.isNull:
+                return function filterIsNull() { return getter() === null; };
+
+            case FilterOperation.isNotNull:
+                return function filterIsNotNull() { return getter() !== null; };
+
+            default:
+                break;
+        }
+
+        if (!column.nullable) {
+            return this._generateValueTester(rule, column, getter);
+        }
+
+        // null fields never pass value rules, the value is read once and handed to the tester
+        let value = null;
+        const tester = this._generateValueTester(rule, column, function getNullableValue() { return value; });
+        if (!tester) {
+            return null;
+        }
+
+        return function filterNullable() {
+            value = getter();
+            return value !== null && tester();
+        };
+    }
+
+    /**
+     * Generate a function that tests the value of the specified field against the rule.
+     * @param {FilterRule} rule - Object containing the field and parameters to test.
+     * @param {Column} column - The column to test.
+     * @param {function():*} valueGetter - Function returning the value of the field in the current row.
+     * @return {function():boolean|null}
+     * @private
+     */
+    _generateValueTester(rule, column, valueGetter) {
+        if (column.type === Category) {
+            return this._generateCategoryTester(rule, column, valueGetter);
+        }
+
+        if (column.type === Text) {
+            return this._generateTextTester(rule, valueGetter);
+        }
+
+        if (isDecimalType(column.type)) {
+            return this._generateDecimalTester(rule, column, valueGetter);
+        }
+
+        const getter = rule.extract ? createDatePartGetter(rule.extract, valueGetter) : valueGetter;
+        // date parts are plain numbers
+        let parseValue = parseFloat;
+        if (!rule.extract) {
+            if (column.type === Int64 || column.type === Uint64) {
+                parseValue = parseBigIntValue;
+            } else if (column.type === Bool) {
+                parseValue = v => Bool.parse(v);
+            } else if (column.type === Timestamp) {
+                parseValue = v => Timestamp.parse(v);
+            }
+        }
         switch (rule.operation) {
             case FilterOperation.contains: {
                 const value = ByteString.fromString(rule.value);
@@ -244,7 +363,7 @@ export class FilterProcessor {
                     };
                 }
 
-                const values = rule.value.map(v => parseFloat(v));
+                const values = rule.value.map(v => parseValue(v));
                 const n = values.length;
                 let i;
                 return function filterIn() {
@@ -274,7 +393,7 @@ export class FilterProcessor {
                     };
                 }
 
-                const values = rule.value.map(v => parseFloat(v));
+                const values = rule.value.map(v => parseValue(v));
                 const n = values.length;
                 let i;
                 return function filterNotIn() {
@@ -295,7 +414,7 @@ export class FilterProcessor {
                         return getter().equalsCase(value);
                     };
                 }
-                const value = parseFloat(rule.value);
+                const value = parseValue(rule.value);
                 return function filterEquals() {
                     return getter() === value;
                 };
@@ -308,43 +427,239 @@ export class FilterProcessor {
                         return !getter().equalsCase(value);
                     };
                 }
-                const value = parseFloat(rule.value);
+                const value = parseValue(rule.value);
                 return function filterNotEqual() {
                     return getter() !== value;
                 };
             }
 
             case FilterOperation.greaterThan: {
-                const value = parseFloat(rule.value);
+                const value = parseValue(rule.value);
                 return function filterMoreThanOrEqual() {
                     return getter() > value;
                 };
             }
 
             case FilterOperation.greaterThanOrEqual: {
-                const value = parseFloat(rule.value);
+                const value = parseValue(rule.value);
                 return function filterMoreThan() {
                     return getter() >= value;
                 };
             }
 
             case FilterOperation.lessThan: {
-                const value = parseFloat(rule.value);
+                const value = parseValue(rule.value);
                 return function filterLessThan() {
                     return getter() < value;
                 };
             }
 
             case FilterOperation.lessThanOrEqual: {
-                const value = parseFloat(rule.value);
+                const value = parseValue(rule.value);
                 return function filterLessThanOrEqual() {
                     return getter() <= value;
                 };
             }
 
+            case FilterOperation.before: {
+                const value = parseValue(rule.value);
+                return function filterBefore() {
+                    return getter() < value;
+                };
+            }
+
+            case FilterOperation.after: {
+                const value = parseValue(rule.value);
+                return function filterAfter() {
+                    return getter() > value;
+                };
+            }
+
+            case FilterOperation.between: {
+                const start = parseValue(rule.value[0]);
+                const end = parseValue(rule.value[1]);
+                return function filterBetween() {
+                    const toTest = getter();
+                    return toTest >= start && toTest < end;
+                };
+            }
+
+            default:
+                break;
+        }
+        return null;
+    }
+
+    /**
+     * Generate a function that tests the specified category field in the specified row. The rule is tested once against
+     * every string in the column's dictionary, the generated function then only compares the code in the row.
+     * NOTE: The getter must return the category codes, as the getters of binary rows do.
+     * @param {FilterRule} rule - Object containing the field and parameters to test.
+     * @param {Column} column - The category column to test.
+     * @param {function():number} getter - Function returning the category code of the field in the current row.
+     * @return {function():boolean|null}
+     * @private
+     */
+    _generateCategoryTester(rule, column, getter) {
+        const test = this._generateStringTest(rule);
+        if (!test) {
+            return null;
+        }
+
+        const dictionary = column.dictionary;
+        const matches = new Uint8Array(dictionary.length);
+        for (let i = 0, n = dictionary.length; i < n; ++i) {
+            matches[i] = test(ByteString.foldCase(dictionary[i])) ? 1 : 0;
+        }
+
+        return function filterCategory() {
+            return matches[getter()] === 1;
+        };
+    }
+
+    /**
+     * Generate a function that tests the specified decimal field in the specified row. The values in the rule are parsed
+     * to the scale of the column and rounded in the direction that keeps the comparison exact, values that cannot be
+     * represented with the column's scale never equal any field.
+     * NOTE: The getter must return the scaled integers, as the getters of binary rows do.
+     * @param {FilterRule} rule - Object containing the field and parameters to test.
+     * @param {Column} column - The decimal column to test.
+     * @param {function():bigint} getter - Function returning the scaled value of the field in the current row.
+     * @return {function():boolean|null}
+     * @private
+     */
+    _generateDecimalTester(rule, column, getter) {
+        const type = column.type;
+        const parseValue = function parseDecimalValue(value, rounding) {
+            const scaled = type.parse(value, rounding);
+            return scaled === null ? NaN : scaled;
+        };
+        const parseExact = function parseExactDecimalValue(value) {
+            const scaled = parseValue(value, 'floor');
+            return scaled === parseValue(value, 'ceil') ? scaled : NaN;
+        };
+
+        switch (rule.operation) {
+            case FilterOperation.in:
+            case FilterOperation.notIn: {
+                const values = new Set(rule.value.map(parseExact));
+                if (rule.operation === FilterOperation.notIn) {
+                    return function filterNotIn() { return !values.has(getter()); };
+                }
+                return function filterIn() { return values.has(getter()); };
+            }
+
+            case FilterOperation.equal: {
+                const value = parseExact(rule.value);
+                return function filterEquals() { return getter() === value; };
+            }
+
+            case FilterOperation.notEqual: {
+                const value = parseExact(rule.value);
+                return function filterNotEqual() { return getter() !== value; };
+            }
+
+            case FilterOperation.greaterThan:
+            case FilterOperation.after: {
+                const value = parseValue(rule.value, 'floor');
+                return function filterMoreThan() { return getter() > value; };
+            }
+
+            case FilterOperation.greaterThanOrEqual: {
+                const value = parseValue(rule.value, 'ceil');
+                return function filterMoreThanOrEqual() { return getter() >= value; };
+            }
+
+            case FilterOperation.lessThan:
+            case FilterOperation.before: {
+                const value = parseValue(rule.value, 'ceil');
+                return function filterLessThan() { return getter() < value; };
+            }
+
+            case FilterOperation.lessThanOrEqual: {
+                const value = parseValue(rule.value, 'floor');
+                return function filterLessThanOrEqual() { return getter() <= value; };
+            }
+
+            case FilterOperation.between: {
+                const start = parseValue(rule.value[0], 'ceil');
+                const end = parseValue(rule.value[1], 'ceil');
+                return function filterBetween() {
+                    const toTest = getter();
+                    return toTest >= start && toTest < end;
+                };
+            }
+
             default:
                 break;
         }
         return null;
     }
+
+    /**
+     * Generate a function that tests the specified text field in the specified row.
+     * @param {FilterRule} rule - Object containing the field and parameters to test.
+     * @param {function():string} getter - Function returning the string of the field in the current row.
+     * @return {function():boolean|null}
+     * @private
+     */
+    _generateTextTester(rule, getter) {
+        const test = this._generateStringTest(rule);
+        if (!test) {
+            return null;
+        }
+
+        return function filterText() {
+            return test(ByteString.foldCase(getter()));
+        };
+    }
+
+    /**
+     * Generate a function that tests a JS string, with its case folded by `ByteString.foldCase`, against the specified
+     * rule, values in the rule are compared ignoring their case. Only string operations are supported, null is returned
+     * for any other operation.
+     * @param {FilterRule} rule - Object containing the parameters to test.
+     * @return {function(string):boolean|null}
+     * @private
+     */
+    _generateStringTest(rule) {
+        let test;
+        let negate = false;
+        switch (rule.operation) {
+            case FilterOperation.notContains:
+                negate = true;
+                // falls through
+            case FilterOperation.contains: {
+                const value = ByteString.foldCase(rule.value.toString());
+                test = str => str.indexOf(value) !== -1;
+                break;
+            }
+
+            case FilterOperation.notIn:
+                negate = true;
+                // falls through
+            case FilterOperation.in: {
+                const values = new Set(rule.value.map(v => ByteString.foldCase(v.toString())));
+                test = str => values.has(str);
+                break;
+            }
+
+            case FilterOperation.notEqual:
+                negate = true;
+                // falls through
+            case FilterOperation.equal: {
+                const value = ByteString.foldCase(rule.value.toString());
+                test = str => str === value;
+                break;
+            }
+
+            default:
+                return null;
+        }
+
+        if (negate) {
+            return str => !test(str);
+        }
+        return test;
+    }
 }
@@ -22,8 +22,15 @@
  */
 
 import {coreCount} from '../../utils/CoreCount';
+import {Heap} from '../../core/Heap';
 import {Header} from '../table/Header';
 import {Table} from '../table/Table';
+import {Row} from '../table/Row';
+import {ByteString} from '../types/ByteString';
+import {Category} from '../types/Category';
+import {Text} from '../types/Text';
+import {Bool, Int32, Int64, Timestamp, Type, decimal} from '../../core/Types';
+import {KrudaTypeError} from '../../core/Errors';
 import dekkai from 'dekkai';
 
 
@@ -34,23 +41,505 @@ const kDekkaiTypeMap = new Map([
 ]);
 
 /**
- * Creates a {@link Table} instance and fills its contents from the specified local CSV file.
- * @param {File} file - A file instance, representing the file to load.
+ * Types of the columns dekkai can load as binary data.
+ * @type {Set<string>}
+ * @private
+ */
+const kDekkaiColumnTypes = new Set(kDekkaiTypeMap.values());
+
+/**
+ * Parses the text of a CSV field as an integer, empty or invalid fields are parsed as zero.
+ * @param {string} str - The text to parse.
+ * @return {number}
+ * @private
+ */
+function parseInteger(str) {
+    return parseInt(str, 10) || 0;
+}
+
+/**
+ * Parses the text of a CSV field as a BigInt, empty or invalid fields are parsed as zero.
+ * @param {string} str - The text to parse.
+ * @return {bigint}
+ * @private
+ */
+function parseBigInt(str) {
+    const trimmed = str.trim();
+    return (/^[-+]?\d+$/).test(trimmed) ? BigInt(trimmed) : BigInt(parseInteger(trimmed));
+}
+
+/**
+ * Returns the text of a CSV field as is.
+ * @param {string} str - The text of the field.
+ * @return {string}
+ * @private
+ */
+function parseString(str) {
+    return str;
+}
+
+/**
+ * Parses the text of a CSV field as a boolean, `true`, `yes` and `1` are true, ignoring case.
+ * @param {string} str - The text to parse.
+ * @return {boolean}
+ * @private
+ */
+function parseBool(str) {
+    return Bool.parse(str);
+}
+
+/**
+ * Parses the text of a CSV field as a timestamp, see `Timestamp.parse` for the supported date formats.
+ * @param {string} str - The text to parse.
+ * @return {number}
+ * @private
+ */
+function parseTimestamp(str) {
+    return Timestamp.parse(str);
+}
+
+/**
+ * Values accepted in boolean columns, used to infer the type of columns.
+ * @type {Set<string>}
+ * @private
+ */
+const kBoolStrings = new Set(['true', 'false', 'yes', 'no']);
+
+/**
+ * Functions used to convert the text of a CSV field to a value of each of the supported column types.
+ * @type {Map<string, function(string):*>}
+ * @private
+ */
+const kColumnTypeParsers = new Map([
+    ['ByteString', parseString],
+    ['Int8', parseInteger],
+    ['Int16', parseInteger],
+    ['Int32', parseInteger],
+    ['Uint8', parseInteger],
+    ['Uint16', parseInteger],
+    ['Uint32', parseInteger],
+    ['Float32', parseFloat],
+    ['Float64', parseFloat],
+    ['Int64', parseBigInt],
+    ['Uint64', parseBigInt],
+    ['Bool', parseBool],
+    ['Timestamp', parseTimestamp],
+    ['Category', parseString],
+    ['Text', parseString],
+]);
+
+/**
+ * Names of decimal types, `Decimal(scale)` or `Decimal32(scale)`, which are created when a column is loaded as one.
+ * @type {RegExp}
+ * @private
+ */
+const kDecimalTypeName = /^Decimal(32)?\((\d+)\)$/;
+
+/**
+ * The maximum number of distinct values a string column can have to be encoded as a `Category` column automatically.
+ * @type {number}
+ * @private
+ */
+const kMaxCategoryCount = 0x10000;
+
+/**
+ * Converts a field, as read by dekkai, to a string removing its qualifiers and trailing carriage returns. Fields are
+ * decoded as UTF-8.
+ * @param {Uint8Array} field - The raw bytes of the field.
+ * @param {Object} config - dekkai's configuration object.
+ * @return {string}
+ * @private
+ */
+function fieldToString(field, config) {
+    let str = ByteString.decode(field);
+    if (str.endsWith('\r')) {
+        str = str.substr(0, str.length - 1);
+    }
+
+    const qualifier = config.qualifier;
+    if (str.length > 1 && str.startsWith(qualifier) && str.endsWith(qualifier)) {
+        str = str.substr(1, str.length - 2).split(qualifier + qualifier).join(qualifier);
+    }
+
+    return str;
+}
+
+/**
+ * Text of the CSV fields considered numbers, fields in numeric columns that do not match it are loaded as null.
+ * @type {RegExp}
+ * @private
+ */
+const kNumberString = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+/**
+ * Types of the CSV columns whose fields must be numbers, decimal types are numeric as well.
+ * @type {Set<string>}
+ * @private
+ */
+const kNumericColumnTypes = new Set(['Int8', 'Int16', 'Int32', 'Uint8', 'Uint16', 'Uint32', 'Float32', 'Float64', 'Int64', 'Uint64']);
+
+/**
+ * Creates the statistics of a CSV column, which are updated with every field in the column using `updateColumnStats`
+ * and used to infer the type of the column.
+ * @param {string} name - The name of the column.
+ * @param {Type|string|null} type - The type the column must be loaded as, `null` to infer it.
+ * @return {Object}
+ * @private
+ */
+function createColumnStats(name, type) {
+    return {
+        name,
+        type: type instanceof Type ? type.name : type,
+        maxLength: 0,
+        count: 0,
+        numberCount: 0,
+        isInt: true,
+        isBool: true,
+        isTimestamp: true,
+        hasEmpty: false,
+    };
+}
+
+/**
+ * Updates the statistics of a CSV column with one of its fields.
+ * @param {Object} stats - The statistics of the column, as created by `createColumnStats`.
+ * @param {string} str - The text of the field.
+ * @private
+ */
+function updateColumnStats(stats, str) {
+    const trimmed = str.trim();
+    stats.maxLength = Math.max(stats.maxLength, ByteString.byteLength(str));
+    if (!trimmed.length) {
+        stats.hasEmpty = true;
+        return;
+    }
+
+    ++stats.count;
+    if (kNumberString.test(trimmed)) {
+        ++stats.numberCount;
+        stats.isInt = stats.isInt && (/^[-+]?\d+$/).test(trimmed) && (trimmed | 0) === parseInt(trimmed, 10);
+    }
+    stats.isBool = stats.isBool && kBoolStrings.has(trimmed.toLowerCase());
+    stats.isTimestamp = stats.isTimestamp && !isNaN(Timestamp.parse(trimmed));
+}
+
+/**
+ * Infers the type of CSV columns from their statistics and returns the descriptors of the columns, the parser of each
+ * column and whether each column is numeric. Columns where at least half of the fields are numbers are loaded as
+ * `Int32` or `Float32`, the rest are loaded as `Bool`, `Timestamp`, `ByteString` or, when any of their values is
+ * longer than 255 bytes, `Text`. Columns with empty fields, or fields which are not numbers in numeric columns, are
+ * nullable.
+ * @param {Object[]} stats - The statistics of the columns, as created by `createColumnStats`.
+ * @return {{columns: Object[], parsers: Array<function(string):*>, numeric: boolean[]}}
+ * @private
+ */
+function columnsFromStats(stats) {
+    const columns = [];
+    const parsers = [];
+    const numeric = [];
+    for (let i = 0, n = stats.length; i < n; ++i) {
+        const stat = stats[i];
+        let type = stat.type;
+        if (!type) {
+            if (stat.numberCount * 2 >= stat.count) {
+                type = stat.isInt ? 'Int32' : 'Float32';
+            } else if (stat.isBool) {
+                type = 'Bool';
+            } else if (stat.isTimestamp) {
+                type = 'Timestamp';
+            } else if (stat.maxLength > 255) {
+                type = 'Text';
+            } else {
+                type = 'ByteString';
+            }
+        }
+
+        // decimal fields are parsed exactly by the decimal type itself
+        const decimalName = kDecimalTypeName.exec(type);
+        if (decimalName) {
+            decimal(parseInt(decimalName[2], 10), decimalName[1] ? Int32 : Int64);
+        } else if (!kColumnTypeParsers.has(type)) {
+            throw new KrudaTypeError(`Unsupported CSV column type (${type}) for column "${stat.name}"`);
+        }
+
+        // category columns are loaded as strings and encoded once all the values are known
+        const isNumeric = Boolean(decimalName) || kNumericColumnTypes.has(type);
+        const column = {
+            name: stat.name,
+            type: type === 'Category' ? 'ByteString' : type,
+            nullable: stat.hasEmpty || (isNumeric && stat.numberCount < stat.count),
+        };
+        if (column.type === 'ByteString') {
+            column.length = (Math.min(stat.maxLength, 255) + 4) & ~0x03;
+        }
+        columns.push(column);
+        parsers.push(decimalName ? parseString : kColumnTypeParsers.get(type));
+        numeric.push(isNumeric);
+    }
+
+    return { columns, parsers, numeric };
+}
+
+/**
+ * Converts the text of a CSV field to the value written to the table, empty fields, and fields which are not numbers in
+ * numeric columns, are converted to null.
+ * @param {string} str - The text of the field.
+ * @param {function(string):*} parser - The parser of the field's column.
+ * @param {boolean} numeric - Whether the field's column is numeric.
+ * @return {*}
+ * @private
+ */
+function parseField(str, parser, numeric) {
+    const trimmed = str.trim();
+    if (!trimmed.length || (numeric && !kNumberString.test(trimmed))) {
+        return null;
+    }
+    return parser(str);
+}
+
+/**
+ * Loads a CSV file row by row on the calling thread. Slower than dekkai's parser but supports all the column types in
+ * `kColumnTypeParsers` and decimal types. Columns not found in `columnTypes` are inferred by `columnsFromStats`.
+ * @param {DataFile} dataFile - The file to load.
  * @param {Heap} heap - The heap where the loaded table will be stored.
- * @return {Table}
+ * @param {Object<string, Type|string>} columnTypes - An object mapping column names to types.
+ * @param {Object} config - dekkai's configuration object.
+ * @param {string} label - The label of the allocated memory.
+ * @return {Promise<Table>}
+ * @private
  */
-export async function tableFromLocalCSV(file, heap) {
-    const workerCount = await coreCount();
+async function tableFromCSVRows(dataFile, heap, columnTypes, config, label) {
     const DataTools = dekkai.DataTools;
-    await dekkai.init(workerCount);
-    const dataFile = new dekkai.DataFile(file);
-    const config = Object.assign({}, DataTools.defaultConfig);
-    const {header, offset} = await DataTools.readHeader(dataFile, config);
-    const blobs = await DataTools.sliceFile(dataFile, offset, config);
-    const result = await DataTools.binaryChunksFromBlobs(blobs, header, config);
+    const view = new DataView(await dataFile.slice(0, dataFile.size).load());
+    const fields = [];
+    let offset = 0;
 
-    const columns = [];
+    const stats = [];
+    if (config.firstRowHeader) {
+        offset = DataTools.readRow(view, offset, fields, config);
+    } else {
+        DataTools.readRow(view, offset, fields, config);
+    }
+    for (let i = 0, n = fields.length; i < n; ++i) {
+        const name = config.firstRowHeader ? fieldToString(fields[i], config).trim() : `Column${i}`;
+        stats.push(createColumnStats(name, columnTypes.hasOwnProperty(name) ? columnTypes[name] : null));
+    }
+
+    const rows = [];
+    while (offset < view.byteLength) {
+        fields.length = 0;
+        offset = DataTools.readRow(view, offset, fields, config);
+        if (fields.length === 1 && !fieldToString(fields[0], config).length) {
+            continue;
+        }
+
+        const row = [];
+        for (let i = 0, n = stats.length; i < n; ++i) {
+            const str = i < fields.length ? fieldToString(fields[i], config) : '';
+            updateColumnStats(stats[i], str);
+            row.push(str.trim().length ? str : null);
+        }
+        rows.push(row);
+    }
+
+    const {columns, parsers, numeric} = columnsFromStats(stats);
+    const tableHeader = Header.descriptorFromColumns(columns);
+    tableHeader.rowCount = rows.length;
+    tableHeader.dataLength = tableHeader.rowStep * rows.length;
+
+    let stringPoolLength = 0;
+    for (let i = 0, n = columns.length; i < n; ++i) {
+        if (columns[i].type === 'Text') {
+            for (let r = 0, rn = rows.length; r < rn; ++r) {
+                stringPoolLength += rows[r][i] === null ? 0 : Text.byteLength(rows[r][i]);
+            }
+        }
+    }
+
+    const binaryHeader = Header.buildBinaryHeader(tableHeader);
+    const memory = await heap.mallocAsync(tableHeader.dataLength + binaryHeader.byteLength + stringPoolLength, { label });
+    Heap.copy(memory, 0, binaryHeader, 0, binaryHeader.byteLength);
+
+    const table = new Table(memory);
+    if (stringPoolLength) {
+        table.header.setStringPoolOffset(binaryHeader.byteLength + tableHeader.dataLength);
+    }
+
+    const row = new Row(table, 0);
+    for (let r = 0, rn = rows.length; r < rn; ++r) {
+        row.index = r;
+        for (let i = 0, n = parsers.length; i < n; ++i) {
+            row.accessors[i].setter(rows[r][i] === null ? null : parseField(rows[r][i], parsers[i], numeric[i]));
+        }
+    }
+
+    return table;
+}
+
+/**
+ * Encodes the string columns of the specified table as `Category` columns when it reduces the memory used by the
+ * table, which is the case for columns with few distinct values, and when the column is listed as `Category` in
+ * `columnTypes`. Columns listed as `ByteString` are never encoded.
+ * When a column is encoded a new table is returned and the memory of the specified table is freed.
+ * @param {Table} table - The table to encode.
+ * @param {Heap} heap - The heap where the encoded table will be stored.
+ * @param {Object<string, Type|string>|null} columnTypes - An object mapping column names to types.
+ * @param {string} label - The label of the allocated memory.
+ * @return {Promise<Table>}
+ * @private
+ */
+async function encodeCategories(table, heap, columnTypes, label) {
+    const columns = table.header.columns;
+    const rowCount = table.rowCount;
+    const dictionaries = [];
+    const forced = [];
+    for (let i = 0, n = columns.length; i < n; ++i) {
+        const name = columns[i].name.toString();
+        let type = columnTypes && columnTypes.hasOwnProperty(name) ? columnTypes[name] : null;
+        type = type instanceof Type ? type.name : type;
+        forced.push(type === 'Category');
+        dictionaries.push(columns[i].type === ByteString && type !== 'ByteString' ? new Map() : null);
+    }
+
+    const row = new Row(table, 0);
+    for (let r = 0; r < rowCount; ++r) {
+        row.index = r;
+        for (let i = 0, n = columns.length; i < n; ++i) {
+            const dictionary = dictionaries[i];
+            if (dictionary && (forced[i] || dictionary.size <= kMaxCategoryCount)) {
+                const value = row.accessors[i].getter();
+                if (value !== null && !dictionary.has(value)) {
+                    dictionary.set(value, dictionary.size);
+                }
+            }
+        }
+    }
+
+    let encoded = false;
+    const descriptors = [];
+    for (let i = 0, n = columns.length; i < n; ++i) {
+        const column = columns[i];
+        const dictionary = dictionaries[i];
+        const descriptor = { name: column.name.toString(), type: column.type, length: column.size, nullable: column.nullable };
+        if (dictionary && (forced[i] || dictionary.size <= kMaxCategoryCount)) {
+            let dictionaryLength = 4;
+            dictionary.forEach((code, value) => {
+                dictionaryLength += Math.min(ByteString.byteLength(value), 255) + 1;
+            });
+
+            const encodedLength = rowCount * Category.codeSize(dictionary.size) + dictionaryLength;
+            if (forced[i] || encodedLength < rowCount * column.size) {
+                descriptor.type = Category;
+                descriptor.dictionary = Array.from(dictionary.keys());
+                encoded = true;
+            }
+        }
+        descriptors.push(descriptor);
+    }
+
+    if (!encoded) {
+        return table;
+    }
+
+    const tableHeader = Header.descriptorFromColumns(descriptors);
+    tableHeader.rowCount = rowCount;
+    tableHeader.dataLength = tableHeader.rowStep * rowCount;
+
+    const stringPoolLength = table.header.stringPoolLength;
+    const binaryHeader = Header.buildBinaryHeader(tableHeader);
+    const memory = await heap.mallocAsync(tableHeader.dataLength + binaryHeader.byteLength + stringPoolLength, { label });
+    Heap.copy(memory, 0, binaryHeader, 0, binaryHeader.byteLength);
+
+    const result = new Table(memory);
+    if (stringPoolLength) {
+        result.header.setStringPoolOffset(binaryHeader.byteLength + tableHeader.dataLength);
+    }
+
+    const resultRow = new Row(result, 0);
+    for (let r = 0; r < rowCount; ++r) {
+        row.index = r;
+        resultRow.index = r;
+        for (let i = 0, n = columns.length; i < n; ++i) {
+            resultRow.accessors[i].setter(row.accessors[i].getter());
+        }
+    }
+
+    await heap.freeAsync(table.memory);
+    return result;
+}
+
+/**
+ * Iterates the rows of a CSV file, already split in blobs, parsing the blobs in dekkai's workers. dekkai's iterator
+ * cannot report errors, the first error thrown by `itr` stops the iteration and is thrown once all the blobs have been
+ * parsed.
+ * NOTE: dekkai must have been initialized with, at most, as many workers as blobs.
+ * @param {Blob[]} blobs - The blobs of the file, as returned by `DataTools.sliceFile`.
+ * @param {Object[]} header - The header of the file, as returned by `DataTools.readHeader`.
+ * @param {Object} config - dekkai's configuration object.
+ * @param {function(Object)} itr - Function invoked with every row of the file, in order.
+ * @return {Promise<void>}
+ * @private
+ */
+async function iterateCSVBlobs(blobs, header, config, itr) {
+    if (!blobs.length) {
+        return;
+    }
+
+    let error = null;
+    await dekkai.DataTools.iterateBlobs(blobs, header, row => {
+        if (!error) {
+            try {
+                itr(row);
+            } catch (e) {
+                error = e;
+            }
+        }
+    }, config);
+
+    if (error) {
+        throw error;
+    }
+}
+
+/**
+ * Collects the statistics of the columns of a CSV file, already split in blobs, used to infer their types.
+ * @param {Blob[]} blobs - The blobs of the file, as returned by `DataTools.sliceFile`.
+ * @param {Object[]} header - The header of the file, as returned by `DataTools.readHeader`.
+ * @param {Object} config - dekkai's configuration object.
+ * @return {Promise<{stats: Object[], rowCount: number}>}
+ * @private
+ */
+async function statsFromCSVBlobs(blobs, header, config) {
+    const stats = header.map(column => createColumnStats(column.name, null));
+    let rowCount = 0;
+    await iterateCSVBlobs(blobs, header, config, row => {
+        for (let i = 0, n = stats.length; i < n; ++i) {
+            updateColumnStats(stats[i], row.valueByIndex(i));
+        }
+        ++rowCount;
+    });
+    return { stats, rowCount };
+}
+
+/**
+ * Loads a CSV file, already split in blobs, using dekkai's binary data. Only files with `Int32`, `Float32` and
+ * `ByteString` columns without null values can be loaded this way, returns `null` when dekkai infers a different type
+ * than `columns` for any of the columns.
+ * @param {Blob[]} blobs - The blobs of the file, as returned by `DataTools.sliceFile`.
+ * @param {Object[]} header - The header of the file, as returned by `DataTools.readHeader`.
+ * @param {Object[]} columns - The descriptors of the columns, as inferred by `columnsFromStats`.
+ * @param {Heap} heap - The heap where the table will be stored.
+ * @param {Object} config - dekkai's configuration object.
+ * @param {string} label - The label of the allocated memory.
+ * @return {Promise<Table|null>}
+ * @private
+ */
+async function tableFromCSVBinary(blobs, header, columns, heap, config, label) {
+    const DataTools = dekkai.DataTools;
+    const result = await DataTools.binaryChunksFromBlobs(blobs, header, config);
     const dekkaiColumns = result.header.columns;
+
+    const binaryColumns = [];
     for (let i = 0, n = dekkaiColumns.length; i < n; ++i) {
         const column = {
             name: dekkaiColumns[i].name,
@@ -58,38 +547,138 @@ export async function tableFromLocalCSV(file, heap) {
             offset: dekkaiColumns[i].offset,
         };
 
+        if (column.type !== columns[i].type) {
+            return null;
+        }
+
         if (column.type === 'ByteString') {
             column.length = dekkaiColumns[i].length;
         }
 
-        columns.push(column);
+        binaryColumns.push(column);
     }
 
-    const tableHeader = Header.descriptorFromColumns(columns);
+    const tableHeader = Header.descriptorFromColumns(binaryColumns);
     tableHeader.rowCount = result.header.rowCount;
     tableHeader.dataLength = result.header.dataLength;
 
     const binaryHeader = Header.buildBinaryHeader(tableHeader);
-    const memory = heap.malloc(result.header.dataLength + binaryHeader.byteLength);
+    const memory = await heap.mallocAsync(result.header.dataLength + binaryHeader.byteLength, { label });
 
-    const headerView = new Uint8Array(binaryHeader);
-    const memoryView = new Uint8Array(memory.buffer);
-    memoryView.set(headerView, memory.address);
+    Heap.copy(memory, 0, binaryHeader, 0, binaryHeader.byteLength);
 
-    config.output = {
-        buffer: memory.buffer,
-        offset: memory.address + binaryHeader.byteLength,
-    };
+    const mergeConfig = Object.assign({}, config, {
+        output: {
+            buffer: memory.buffer,
+            offset: memory.address + binaryHeader.byteLength,
+        },
+    });
 
-    const merged = await DataTools.mergeChunksIntoBuffer(result.chunks, result.header, config);
+    const merged = await DataTools.mergeChunksIntoBuffer(result.chunks, result.header, mergeConfig);
     if (!heap.shared) {
         heap._restoreBuffer(merged.data.buffer);
     }
 
-    dekkai.terminate();
     return new Table(memory);
 }
 
+/**
+ * Loads the rows of a CSV file, already split in blobs, into a new table. The blobs are parsed by dekkai's workers and
+ * each parsed blob is written to the table, row by row, as soon as it arrives so only the parsed blobs in flight are
+ * kept in memory. Used for the files dekkai cannot load as binary data.
+ * @param {Blob[]} blobs - The blobs of the file, as returned by `DataTools.sliceFile`.
+ * @param {Object[]} header - The header of the file, as returned by `DataTools.readHeader`.
+ * @param {{columns: Object[], parsers: Array<function(string):*>, numeric: boolean[]}} inferred - The columns of the
+ * file, as inferred by `columnsFromStats`.
+ * @param {number} rowCount - The number of rows in the file.
+ * @param {Heap} heap - The heap where the table will be stored.
+ * @param {Object} config - dekkai's configuration object.
+ * @param {string} label - The label of the allocated memory.
+ * @return {Promise<Table>}
+ * @private
+ */
+async function tableFromCSVBlobs(blobs, header, inferred, rowCount, heap, config, label) {
+    const {columns, parsers, numeric} = inferred;
+    const tableHeader = Header.descriptorFromColumns(columns);
+    const binaryHeader = Header.buildBinaryHeader(tableHeader);
+    const memory = await heap.mallocAsync(binaryHeader.byteLength + tableHeader.rowStep * Math.max(rowCount, 1), { label });
+    const table = Table.emptyFromBinaryHeader(binaryHeader, memory);
+    const row = new Row(table, 0);
+
+    try {
+        await iterateCSVBlobs(blobs, header, config, csvRow => {
+            row.index = table.addRows(1);
+            for (let i = 0, n = parsers.length; i < n; ++i) {
+                row.accessors[i].setter(parseField(csvRow.valueByIndex(i), parsers[i], numeric[i]));
+            }
+        });
+    } catch (e) {
+        await heap.freeAsync(table.memory);
+        throw e;
+    }
+
+    return table;
+}
+
+/**
+ * Creates a {@link Table} instance and fills its contents from the specified local CSV file.
+ * The types of the columns are inferred from the file's contents, the `columnTypes` parameter can be used to force the
+ * type of any of the columns, this is required to load 64 bit columns (`Float64`, `Int64` and `Uint64`), `Bool`
+ * columns, which accept `true/false`, `yes/no` and `1/0` values, `Timestamp` columns, which accept the date formats
+ * supported by `Timestamp.parse`, and decimal columns, such as `Decimal(2)` or `Types.decimal(2)`, which are parsed
+ * exactly.
+ * Columns where at least half of the values are numbers are loaded as numeric columns, columns with only `true/false`
+ * or `yes/no` values as `Bool` columns and columns with only dates as `Timestamp` columns. String columns with few
+ * distinct values are encoded as `Category` columns automatically, forcing their type to `ByteString` or `Category`
+ * disables or forces the encoding. String columns with values longer than 255 bytes, once encoded as UTF-8, are loaded
+ * as `Text` columns. Empty cells, and cells which are not numbers in numeric columns, are loaded as null, making their
+ * columns nullable.
+ * NOTE: The file is parsed twice, in worker threads, once to infer the type of its columns and once to load it, the
+ * type inference inspects every cell in the calling thread. Files with `Bool`, `Timestamp` or `Text` columns, or with
+ * null values, are also written to the table cell by cell in the calling thread, which is slower. Forcing the type of
+ * any column loads and parses the whole file in the calling thread, keeping every cell in memory as a string until the
+ * table is built, avoid it for large files.
+ * @param {File} file - A file instance, representing the file to load.
+ * @param {Heap} heap - The heap where the loaded table will be stored.
+ * @param {Object<string, Type|string>=} columnTypes - An object mapping column names to the type, or type name, they should be loaded as. Defaults to `null`
+ * @return {Table}
+ */
+export async function tableFromLocalCSV(file, heap, columnTypes = null) {
+    const DataTools = dekkai.DataTools;
+    const dataFile = new dekkai.DataFile(file);
+    const config = Object.assign({}, DataTools.defaultConfig);
+    const label = `CSV load (${file.name})`;
+    if (columnTypes) {
+        const table = await tableFromCSVRows(dataFile, heap, columnTypes, config, label);
+        return await encodeCategories(table, heap, columnTypes, label);
+    }
+
+    // dekkai's iterator schedules a blob in every worker, never start more workers than blobs
+    const {header, offset} = await DataTools.readHeader(dataFile, config);
+    const blobCount = Math.ceil((dataFile.size - offset) / config.chunkSize);
+    await dekkai.init(Math.max(1, Math.min(await coreCount(), blobCount)));
+
+    try {
+        const blobs = await DataTools.sliceFile(dataFile, offset, config);
+        const {stats, rowCount} = await statsFromCSVBlobs(blobs, header, config);
+        const inferred = columnsFromStats(stats);
+
+        // dekkai's binary data cannot represent null values and truncates strings to 255 bytes
+        let table = null;
+        if (blobs.length && inferred.columns.every(column => !column.nullable && kDekkaiColumnTypes.has(column.type))) {
+            table = await tableFromCSVBinary(blobs, header, inferred.columns, heap, config, label);
+        }
+
+        if (!table) {
+            table = await tableFromCSVBlobs(blobs, header, inferred, rowCount, heap, config, label);
+        }
+
+        return await encodeCategories(table, heap, null, label);
+    } finally {
+        dekkai.terminate();
+    }
+}
+
 /**
  * Creates a {@link Table} instance and fills its contents from the specified remote CSV file.
  * @param {string} url - The URL from which the CSV file will be loaded.
@@ -22,6 +22,7 @@
  */
 
 import {Row} from '../table/Row';
+import {KrudaBoundsError} from '../../core/Errors'; // eslint-disable-line no-unused-vars
 
 /**
  * Class to read and write values of a row in a {@link ProxyTable}.
@@ -40,7 +41,9 @@ export class ProxyRow {
         this.mTable = table;
         if (this.mTable.rowCount) {
             this.mIndexRow = new Row(this.mTable.indexTable, index, true);
-            this.mSourceRow = new Row(this.mTable.sourceTable, this.mIndexRow.accessors[0].getter(), binary);
+            const sourceTable = this.mTable.sourceTable;
+            const sourceIndex = this.mIndexRow.accessors[0].getter();
+            this.mSourceRow = binary ? sourceTable.getBinaryRow(sourceIndex) : sourceTable.getRow(sourceIndex);
         } else {
             this.mIndexRow = null;
             this.mSourceRow = null;
@@ -121,8 +124,8 @@ export class ProxyRow {
         /// #if !_DEBUG
         /*
         /// #endif
-        if (!value >= this.mTable.rowCount) {
-            throw 'ERROR: Index out of bounds!';
+        if (value < 0 || value >= this.mTable.rowCount) {
+            throw new KrudaBoundsError('Index out of bounds', value, this.mTable.rowCount);
         }
         /// #if !_DEBUG
          */
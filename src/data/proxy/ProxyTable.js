@@ -22,12 +22,13 @@
  */
 
 import {ProxyRow} from './ProxyRow';
+import {KrudaBoundsError} from '../../core/Errors'; // eslint-disable-line no-unused-vars
 
 /**
  * Class that fetches the data from a source table based on the index numbers of another table, usually resulting from
  * a filter operation.
  * @class ProxyTable
- * @param {Table} sourceTable - The table from which the values will be read.
+ * @param {Table|PartitionedTable} sourceTable - The table from which the values will be read.
  * @param {Table} indexTable - The table containing the indices to fetch.
  */
 export class ProxyTable {
@@ -132,8 +133,8 @@ export class ProxyTable {
         /// #if !_DEBUG
         /*
         /// #endif
-        if (!index >= this.rowCount) {
-            throw 'ERROR: Index out of bounds!';
+        if (index < 0 || index >= this.rowCount) {
+            throw new KrudaBoundsError('Index out of bounds', index, this.rowCount);
         }
         /// #if !_DEBUG
          */
@@ -155,8 +156,8 @@ export class ProxyTable {
         /// #if !_DEBUG
         /*
         /// #endif
-        if (!index >= this.rowCount) {
-            throw 'ERROR: Index out of bounds!';
+        if (index < 0 || index >= this.rowCount) {
+            throw new KrudaBoundsError('Index out of bounds', index, this.rowCount);
         }
         /// #if !_DEBUG
          */
@@ -0,0 +1,351 @@
+/*
+ * Copyright (c) 2019 Uncharted Software Inc.
+ * http://www.uncharted.software/
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+import {Atomize} from '../../core/Atomize';
+import {SyncPrimitive} from '../../core/SyncPrimitive';
+import {Header} from '../table/Header';
+import {Table} from '../table/Table';
+import {Row} from '../table/Row';
+import {Text} from '../types/Text';
+import {binaryTypeFromIndex} from '../types/TypeEnums';
+import {KrudaSchemaError} from '../../core/Errors';
+
+/**
+ * The size, in bytes, of a ring buffer's control state.
+ * @type {number}
+ * @private
+ */
+const kControlByteSize = 16;
+
+/**
+ * Ring buffer of fixed-size row records that lives in a heap's memory, so it can be used to stream rows between
+ * threads without materializing a whole table. Supports multiple producers and a single consumer.
+ * The records are stored as the rows of a RELATIONAL {@link Table} whose row count is the capacity of the buffer,
+ * producers and consumers read and write the records in place through {@link Row} instances. A record whose writer
+ * throws is still committed, with the fields written before the error, so it never blocks the producers after it.
+ * Instances can be recreated in other threads with `deserializeRingBuffer`.
+ * WARNING: Browsers do not allow blocking the main thread, use the async functions on the main thread.
+ * @class RingBuffer
+ * @extends SyncPrimitive
+ * @param {MemoryBlock} control - The memory block containing the control state of the ring buffer.
+ * @param {Table} table - The table containing the records of the ring buffer.
+ */
+export class RingBuffer extends SyncPrimitive {
+    constructor(control, table) {
+        super(control, 0, kControlByteSize >> 2);
+        this.mTable = table;
+        this.mWriteRow = new Row(table, 0);
+        this.mReadRow = new Row(table, 0);
+    }
+
+    /**
+     * Allocates a new, empty, ring buffer in the specified heap. `Text` columns are not supported, the strings of the
+     * records would never be released from the string pool.
+     * @param {Heap|SegmentedHeap|Arena} heap - The heap where the ring buffer will be allocated.
+     * @param {ColumnDescriptor[]|Header} columns - The columns of the records, or the header of a table whose rows will
+     * be streamed through the ring buffer.
+     * @param {number} capacity - The maximum number of records the ring buffer can hold, rounded up to the next power of
+     * 2 so record indices remain continuous when they wrap around.
+     * @return {RingBuffer}
+     */
+    static create(heap, columns, capacity) {
+        const slotCount = Math.pow(2, Math.ceil(Math.log2(Math.max(1, capacity))));
+        const descriptors = columns instanceof Header ? columns.columns.map(column => ({
+            name: column.name.toString(),
+            type: column.type,
+            length: column.size,
+            dictionary: column.dictionary,
+            nullable: column.nullable,
+        })) : columns;
+
+        const header = Header.descriptorFromColumns(descriptors);
+        for (let i = 0, n = header.columns.length; i < n; ++i) {
+            if (binaryTypeFromIndex(header.columns[i].type) === Text) {
+                throw new KrudaSchemaError(`Text column "${header.columns[i].name}" cannot be streamed through a ring buffer`, header.columns[i].name);
+            }
+        }
+        header.rowCount = slotCount;
+        header.dataLength = slotCount * header.rowStep;
+        const binaryHeader = Header.buildBinaryHeader(header);
+
+        const memory = heap.malloc(binaryHeader.byteLength + header.dataLength, { label: 'RingBuffer records' });
+        const table = Table.emptyFromBinaryHeader(binaryHeader, memory);
+
+        /*
+         * Control structure
+         * 0 {Int32} - reserved head, index of the next record reserved by a producer
+         * 4 {Int32} - committed head, records before this index can be read by the consumer
+         * 8 {Int32} - tail, index of the next record to be read by the consumer
+         * 12 {Int32} - closed flag
+         */
+        return new RingBuffer(heap.calloc(kControlByteSize, { label: 'RingBuffer control' }), table);
+    }
+
+    /**
+     * The table containing the records of this ring buffer.
+     * @type {Table}
+     */
+    get table() {
+        return this.mTable;
+    }
+
+    /**
+     * The header describing the records in this ring buffer.
+     * @type {Header}
+     */
+    get header() {
+        return this.mTable.header;
+    }
+
+    /**
+     * The maximum number of records this ring buffer can hold.
+     * @type {number}
+     */
+    get capacity() {
+        return this.mTable.rowCount;
+    }
+
+    /**
+     * The number of records ready to be read.
+     * @type {number}
+     */
+    get size() {
+        const state = this._state();
+        return (Atomize.load(state, 1) - Atomize.load(state, 2)) | 0;
+    }
+
+    /**
+     * Has this ring buffer been closed.
+     * @type {boolean}
+     */
+    get closed() {
+        return Atomize.load(this._state(), 3) !== 0;
+    }
+
+    /**
+     * Closes this ring buffer, producers cannot push records anymore and the consumer can read the remaining records.
+     * Wakes up all the waiting threads.
+     */
+    close() {
+        Atomize.store(this._state(), 3, 1);
+        this._notify(1, Infinity);
+        this._notify(2, Infinity);
+    }
+
+    /**
+     * Tries to push a record into this ring buffer, returns immediately if the ring buffer is full.
+     * @param {function(row:Row):void|Object} writer - A function that writes the record's fields using the row it
+     * receives, or an object with the values of the record's fields.
+     * @return {boolean} - `true` if the record was pushed.
+     */
+    tryPush(writer) {
+        const index = this._reserve();
+        if (index === null) {
+            return false;
+        }
+        try {
+            this._write(index, writer);
+        } finally {
+            // the record must be committed even if the writer throws, the producers after it wait for it
+            while (!this._tryCommit(index)) {
+                this._wait(1, Atomize.load(this._state(), 1));
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Pushes a record into this ring buffer, blocks the calling thread while the ring buffer is full.
+     * @param {function(row:Row):void|Object} writer - A function that writes the record's fields using the row it
+     * receives, or an object with the values of the record's fields.
+     * @return {boolean} - `true` if the record was pushed, `false` if the ring buffer is closed.
+     */
+    push(writer) {
+        while (!this.closed) {
+            const tail = Atomize.load(this._state(), 2);
+            if (this.tryPush(writer)) {
+                return true;
+            }
+            this._wait(2, tail);
+        }
+        return false;
+    }
+
+    /**
+     * Pushes a record into this ring buffer, waits without blocking the calling thread while the ring buffer is full.
+     * @param {function(row:Row):void|Object} writer - A function that writes the record's fields using the row it
+     * receives, or an object with the values of the record's fields.
+     * @return {Promise<boolean>} - `true` if the record was pushed, `false` if the ring buffer is closed.
+     */
+    async pushAsync(writer) {
+        while (!this.closed) {
+            const tail = Atomize.load(this._state(), 2);
+            const index = this._reserve();
+            if (index !== null) {
+                try {
+                    this._write(index, writer);
+                } finally {
+                    while (!this._tryCommit(index)) {
+                        await this._waitAsync(1, Atomize.load(this._state(), 1));
+                    }
+                }
+                return true;
+            }
+            await this._waitAsync(2, tail);
+        }
+        return false;
+    }
+
+    /**
+     * Tries to read the next record in this ring buffer, returns immediately if the ring buffer is empty.
+     * WARNING: The row passed to `reader` is reused and its memory is overwritten by producers once `reader` returns.
+     * @param {function(row:Row):void} reader - A function that reads the record's fields using the row it receives.
+     * @return {boolean} - `true` if a record was read.
+     */
+    tryPop(reader) {
+        const state = this._state();
+        const tail = Atomize.load(state, 2);
+        if (tail === Atomize.load(state, 1)) {
+            return false;
+        }
+
+        this.mReadRow.index = this._slot(tail);
+        reader(this.mReadRow);
+
+        Atomize.store(state, 2, (tail + 1) | 0);
+        this._notify(2, Infinity);
+        return true;
+    }
+
+    /**
+     * Reads the next record in this ring buffer, blocks the calling thread while the ring buffer is empty.
+     * WARNING: The row passed to `reader` is reused and its memory is overwritten by producers once `reader` returns.
+     * @param {function(row:Row):void} reader - A function that reads the record's fields using the row it receives.
+     * @return {boolean} - `true` if a record was read, `false` if the ring buffer is closed and empty.
+     */
+    pop(reader) {
+        for (;;) {
+            const head = Atomize.load(this._state(), 1);
+            if (this.tryPop(reader)) {
+                return true;
+            }
+            if (this.closed) {
+                return this.tryPop(reader);
+            }
+            this._wait(1, head);
+        }
+    }
+
+    /**
+     * Reads the next record in this ring buffer, waits without blocking the calling thread while the ring buffer is
+     * empty.
+     * WARNING: The row passed to `reader` is reused and its memory is overwritten by producers once `reader` returns.
+     * @param {function(row:Row):void} reader - A function that reads the record's fields using the row it receives.
+     * @return {Promise<boolean>} - `true` if a record was read, `false` if the ring buffer is closed and empty.
+     */
+    async popAsync(reader) {
+        for (;;) {
+            const head = Atomize.load(this._state(), 1);
+            if (this.tryPop(reader)) {
+                return true;
+            }
+            if (this.closed) {
+                return this.tryPop(reader);
+            }
+            await this._waitAsync(1, head);
+        }
+    }
+
+    /**
+     * Destroys this ring buffer and frees its memory.
+     */
+    destroy() {
+        super.destroy();
+        this.mTable.destroy();
+        this.mTable = null;
+    }
+
+    /**
+     * Reserves the next record for a producer.
+     * @return {number|null} - The index of the reserved record, `null` if the ring buffer is full or closed.
+     * @private
+     */
+    _reserve() {
+        const state = this._state();
+        const capacity = this.mTable.rowCount;
+        let head = Atomize.load(state, 0);
+        while (!this.closed && ((head - Atomize.load(state, 2)) | 0) < capacity) {
+            const previous = Atomize.compareExchange(state, 0, head, (head + 1) | 0);
+            if (previous === head) {
+                return head;
+            }
+            head = previous;
+        }
+        return null;
+    }
+
+    /**
+     * Writes the record at the specified index.
+     * @param {number} index - The index of the record.
+     * @param {function(row:Row):void|Object} writer - A function that writes the record's fields using the row it
+     * receives, or an object with the values of the record's fields.
+     * @private
+     */
+    _write(index, writer) {
+        this.mWriteRow.index = this._slot(index);
+        if (typeof writer === 'function') {
+            writer(this.mWriteRow);
+        } else {
+            const fields = this.mWriteRow.fields;
+            const names = Object.keys(writer);
+            for (let i = 0, n = names.length; i < n; ++i) {
+                fields[names[i]] = writer[names[i]];
+            }
+        }
+    }
+
+    /**
+     * Makes the record at the specified index readable by the consumer. Records are committed in the order they were
+     * reserved, a producer must wait for the producers that reserved the previous records.
+     * @param {number} index - The index of the record.
+     * @return {boolean} - `true` if the record was committed.
+     * @private
+     */
+    _tryCommit(index) {
+        const state = this._state();
+        if (Atomize.compareExchange(state, 1, index, (index + 1) | 0) === index) {
+            this._notify(1, Infinity);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Computes the slot in the records table for the specified record index.
+     * @param {number} index - The index of the record.
+     * @return {number}
+     * @private
+     */
+    _slot(index) {
+        return index & (this.mTable.rowCount - 1);
+    }
+}
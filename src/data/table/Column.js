@@ -21,8 +21,12 @@
  * SOFTWARE.
  */
 
+import {Pointer} from '../../core/Pointer';
 import {ByteString} from '../types/ByteString';
-import {kBinaryTypes} from '../types/TypeEnums';
+import {binaryTypeFromIndex} from '../types/TypeEnums';
+import {MemoryLayout} from './MemoryLayout';
+import {StridedView} from './StridedView';
+import {KrudaTypeError} from '../../core/Errors';
 
 /**
  * Class that represents a column in a {@link Header}
@@ -31,16 +35,17 @@ import {kBinaryTypes} from '../types/TypeEnums';
  * @param {MemoryBlock} memory - The memory to initialize this instance with
  * @param {number} offset - The byte offset for the size, offset and type fields.
  * @param {number} nameOffset - The byte offset for this column's name string.
+ * @param {Header} header - The header this column belongs to.
  */
 export class Column {
-    constructor(memory, offset, nameOffset) {
+    constructor(memory, offset, nameOffset, header) {
         this.mMemory = memory;
-        this.mView = new DataView(this.mMemory.heap.buffer, this.mMemory.address, this.mMemory.size);
+        this.mHeader = header;
 
         this.mByteLength = 0;
 
-        const nameLength = this.mView.getUint8(nameOffset);
-        this.mName = ByteString.fromBuffer(this.mMemory.buffer, this.mMemory.address + nameOffset, nameLength + 1);
+        const nameLength = this.mMemory.dataView.getUint8(nameOffset);
+        this.mName = ByteString.fromPointer(new Pointer(this.mMemory), nameOffset, nameLength + 1);
 
         this.mSizeOffset = this.mByteLength + offset;
         this.mByteLength += 4;
@@ -54,6 +59,10 @@ export class Column {
         this.mTypeOffset = this.mByteLength + offset;
         this.mByteLength += 4;
         this.mByteLength += nameLength + 1;
+
+        this.mDictionary = null;
+        this.mCodes = null;
+        this.mValidityOffset = -1;
     }
 
     /**
@@ -69,7 +78,7 @@ export class Column {
      * @type {number}
      */
     get size() {
-        return this.mView.getUint32(this.mSizeOffset, true);
+        return this.mMemory.dataView.getUint32(this.mSizeOffset, true);
     }
 
     /**
@@ -77,7 +86,7 @@ export class Column {
      * @type {number}
      */
     get dataOffset() {
-        return this.mView.getUint32(this.mDataOffsetOffset, true);
+        return this.mMemory.dataView.getUint32(this.mDataOffsetOffset, true);
     }
 
     /**
@@ -85,7 +94,7 @@ export class Column {
      * @type {number}
      */
     get offset() {
-        return this.mView.getUint32(this.mOffsetOffset, true);
+        return this.mMemory.dataView.getUint32(this.mOffsetOffset, true);
     }
 
     /**
@@ -93,7 +102,7 @@ export class Column {
      * @type {Type}
      */
     get type() {
-        return kBinaryTypes[this.mView.getUint32(this.mTypeOffset, true)];
+        return binaryTypeFromIndex(this.mMemory.dataView.getUint32(this.mTypeOffset, true));
     }
 
     /**
@@ -103,4 +112,106 @@ export class Column {
     get byteLength() {
         return this.mByteLength;
     }
+
+    /**
+     * The strings the codes in this column index into if its type is `Category`, null otherwise.
+     * WARNING: Do not modify this array.
+     * @type {string[]|null}
+     */
+    get dictionary() {
+        return this.mDictionary;
+    }
+
+    /**
+     * Can the fields in this column be null.
+     * @type {boolean}
+     */
+    get nullable() {
+        return this.mValidityOffset !== -1;
+    }
+
+    /**
+     * The offset, in bits, of the validity bit of the fields in this column, -1 if the column is not nullable. In
+     * RELATIONAL tables the offset is relative to the beginning of each row, in COLUMNAR tables it is the beginning of
+     * the column's validity bitmap relative to the beginning of the table data. Valid fields have their bit set.
+     * @type {number}
+     */
+    get validityOffset() {
+        return this.mValidityOffset;
+    }
+
+    /**
+     * Returns the code of the specified string in this column's dictionary, or -1 if the string is not in the
+     * dictionary or this column's type is not `Category`.
+     * @param {string} value - The string to look for.
+     * @return {number}
+     */
+    codeOf(value) {
+        if (!this.mDictionary) {
+            return -1;
+        }
+
+        if (!this.mCodes) {
+            this.mCodes = new Map();
+            for (let i = 0, n = this.mDictionary.length; i < n; ++i) {
+                this.mCodes.set(this.mDictionary[i], i);
+            }
+        }
+
+        const code = this.mCodes.get(value);
+        return code === undefined ? -1 : code;
+    }
+
+    /**
+     * Returns a zero-copy view of the values in this column for the rows currently in the table. Columns in COLUMNAR
+     * tables are returned as a TypedArray, columns in RELATIONAL tables as a {@link StridedView}. Table data starts at an
+     * address aligned to 8 bytes and every column starts aligned to its type, so the view can always be created.
+     * WARNING: TypedArray views must be recreated after rows are added to the table or its memory is moved.
+     * NOTE: The values of null fields are returned as they are in memory, use `validityOffset` to find the null fields.
+     * @return {Int8Array|Int16Array|Int32Array|Uint8Array|Uint16Array|Uint32Array|Float32Array|Float64Array|BigInt64Array|BigUint64Array|StridedView}
+     */
+    values() {
+        const type = this.type;
+        if (!type.typedArray) {
+            throw new KrudaTypeError(`Values of type ${type.name} cannot be viewed as an array`);
+        }
+
+        const header = this.mHeader;
+        if (header.layout === MemoryLayout.COLUMNAR) {
+            return this.mMemory.asTypedArray(type, header.length + this.dataOffset, header.rowCount);
+        }
+        return new StridedView(this.mMemory, type, header.length + this.offset, header.rowStep, header.rowCount);
+    }
+
+    /**
+     * Sets the offset of the validity bit of this column. Called by the header this column belongs to.
+     * @param {number} offset - The offset, in bits, of the validity bit, -1 if the column is not nullable.
+     * @private
+     */
+    _setValidityOffset(offset) {
+        this.mValidityOffset = offset;
+    }
+
+    /**
+     * Reads this column's dictionary from the specified offset in the header's memory. Called by the header this
+     * column belongs to.
+     * @param {number} offset - The byte offset of the dictionary.
+     * @return {number} - The byte offset right after the dictionary.
+     * @private
+     */
+    _readDictionary(offset) {
+        const view = this.mMemory.dataView;
+        const count = view.getUint32(offset, true);
+        const bytes = new Uint8Array(this.mMemory.buffer, this.mMemory.address, this.mMemory.size);
+        let entryOffset = offset + 4;
+
+        this.mDictionary = new Array(count);
+        for (let i = 0; i < count; ++i) {
+            const length = bytes[entryOffset];
+            this.mDictionary[i] = ByteString.decode(bytes.subarray(entryOffset + 1, entryOffset + 1 + length));
+            entryOffset += length + 1;
+        }
+
+        return entryOffset;
+    }
 }
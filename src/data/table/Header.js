@@ -20,31 +20,28 @@
  * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
  * SOFTWARE.
  */
-import {Type} from '../../core/Types';
+import {Bool, Type} from '../../core/Types';
 import {ByteString} from '../types/ByteString';
+import {Category} from '../types/Category';
+import {Text} from '../types/Text';
 import {Atomize} from '../../core/Atomize';
 import {Column} from './Column';
-import {kBinaryTypes, kBinaryTypeMap} from '../types/TypeEnums';
-
-/**
- * Different memory layouts for a table
- * @readonly
- * @enum {number}
- */
-const MemoryLayout = {
-    RELATIONAL: 0,
-    COLUMNAR: 1,
-};
-Object.freeze(MemoryLayout);
+import {MemoryLayout} from './MemoryLayout';
+import {binaryTypeFromIndex, kBinaryTypeMap, registerBinaryType} from '../types/TypeEnums';
+import {KrudaBoundsError, KrudaOutOfMemoryError, KrudaSchemaError} from '../../core/Errors'; // eslint-disable-line no-unused-vars
 
 /**
  * @typedef ColumnDescriptor
  * @type {Object}
  * @property {string} name - This column's name
- * @property {Type|string|number} type - The type of this column by name, index or Type instance.
+ * @property {Type|string|number} type - The type of this column by name, index or Type instance. The index of array
+ * types is derived from their component type and length, so any thread can read tables with array columns.
  * @property {number} [dataOffset] - The offset in bytes for the start of the data this column represents.
  * @property {number} [offset] - The offset in bytes where the data in this column is in each row.
  * @property {number} [length] - The maximum length of the column, if the type is `ByteString`
+ * @property {string[]} [dictionary] - The strings the codes of the column index into, if the type is `Category`
+ * @property {boolean} [nullable] - Can the fields in this column be null. Defaults to false.
+ * @property {number} [validityOffset] - The offset in bits of the validity bit of the column's fields, if nullable.
  */
 
 /**
@@ -70,6 +67,36 @@ const kColumnMetaLength = 16;
  */
 const kHeaderMetaLength = 28;
 
+/**
+ * Value of the validity offset of columns that are not nullable in the binary header.
+ * @type {number}
+ * @private
+ */
+const kNotNullable = 0xFFFFFFFF;
+
+/**
+ * Checks if the specified type is a struct, array or decimal type, types created at runtime that are registered the
+ * first time they are used in a table.
+ * @param {Type} type - The type to check.
+ * @return {boolean}
+ * @private
+ */
+function isRegisteredOnUse(type) {
+    return Type.isStruct(type) || Type.isArray(type) || Type.isDecimal(type);
+}
+
+/**
+ * Sorting function used to lay out the columns of a table. Columns with wider alignment go first so every column is
+ * aligned, columns with the same alignment are sorted by binary type.
+ * @param {Object} c1 - The first column to compare.
+ * @param {Object} c2 - The second column to compare.
+ * @return {number}
+ * @private
+ */
+function compareColumnLayout(c1, c2) {
+    return (binaryTypeFromIndex(c2.type).alignment - binaryTypeFromIndex(c1.type).alignment) || (c1.type - c2.type);
+}
+
 /**
  * Class that represents the header of a {@link Table}.
  * Constructs an instance of a Header by reading its properties from the beginning of the specified memory block.
@@ -79,7 +106,6 @@ const kHeaderMetaLength = 28;
 export class Header {
     constructor(memory) {
         this.mMemory = memory;
-        this.mView = new DataView(memory.heap.buffer, memory.address, memory.size);
         let offset = 0;
 
         this.mLengthOffset = offset;
@@ -108,13 +134,43 @@ export class Header {
 
         let nameOffset = kColumnMetaLength * this.columnCount + offset;
         for (let i = 0; i < this.columnCount; ++i) {
-            const column = new Column(this.mMemory, offset, nameOffset);
+            const column = new Column(this.mMemory, offset, nameOffset, this);
             this.mNames[column.name.toString()] = this.mColumns.length;
             this.mColumns.push(column);
 
-            nameOffset += column.name.length + 1;
+            nameOffset += column.name.byteLength + 1;
             offset += kColumnMetaLength;
         }
+
+        // the dictionaries of category columns follow the names, in column order
+        let dictionaryOffset = (nameOffset + 3) & ~0x03;
+        for (let i = 0, n = this.mColumns.length; i < n; ++i) {
+            if (this.mColumns[i].type === Category) {
+                dictionaryOffset = this.mColumns[i]._readDictionary(dictionaryOffset);
+            }
+        }
+
+        // tables with text columns keep the location and length of their string pool after the dictionaries
+        let validityOffset = (dictionaryOffset + 3) & ~0x03;
+        this.mStringPoolOffsetOffset = -1;
+        this.mStringPoolLengthOffset = -1;
+        for (let i = 0, n = this.mColumns.length; i < n; ++i) {
+            if (this.mColumns[i].type === Text) {
+                this.mStringPoolOffsetOffset = validityOffset;
+                this.mStringPoolLengthOffset = this.mStringPoolOffsetOffset + 4;
+                validityOffset += 8;
+                break;
+            }
+        }
+
+        // tables with nullable columns end their header with the validity offsets of all their columns
+        if (validityOffset + 4 * this.columnCount <= this.length) {
+            for (let i = 0, n = this.mColumns.length; i < n; ++i) {
+                const bitOffset = this.mMemory.dataView.getUint32(validityOffset, true);
+                this.mColumns[i]._setValidityOffset(bitOffset === kNotNullable ? -1 : bitOffset);
+                validityOffset += 4;
+            }
+        }
     }
 
     /**
@@ -150,21 +206,38 @@ export class Header {
      */
     static descriptorFromColumns(columns, memoryLength = 0, layout = Header.memoryLayout.RELATIONAL) {
         const resultColumns = [];
+        const nullableColumns = [];
         let rowLength = 0;
         for (let i = 0, n = columns.length; i < n; ++i) {
             const column = columns[i];
 
             let typeIndex;
             if (column.type instanceof Type) {
-                typeIndex = kBinaryTypeMap.get(column.type);
+                typeIndex = isRegisteredOnUse(column.type) ? registerBinaryType(column.type) : kBinaryTypeMap.get(column.type);
             } else if (isNaN(parseInt(column.type, 10))) {
-                typeIndex = kBinaryTypeMap.get(Type.getTypeByName(column.type));
+                const type = Type.getTypeByName(column.type);
+                typeIndex = isRegisteredOnUse(type) ? registerBinaryType(type) : kBinaryTypeMap.get(type);
             } else {
                 typeIndex = column.type;
             }
 
-            const type = kBinaryTypes[typeIndex];
-            const columnLength = type === ByteString ? column.length : type.byteSize;
+            const type = binaryTypeFromIndex(typeIndex);
+            /// #if !_DEBUG
+            /*
+            /// #endif
+            if (type === Category && !Array.isArray(column.dictionary)) {
+                throw new KrudaSchemaError(`Category column "${column.name}" requires a dictionary`, column.name);
+            }
+            /// #if !_DEBUG
+             */
+            /// #endif
+
+            let columnLength = type.byteSize;
+            if (type === ByteString) {
+                columnLength = column.length;
+            } else if (type === Category) {
+                columnLength = Category.codeSize(column.dictionary.length);
+            }
             rowLength += columnLength;
 
             const computedColumn = {
@@ -178,10 +251,23 @@ export class Header {
                 computedColumn.offset = column.offset;
             }
 
+            if (type === Category) {
+                computedColumn.dictionary = column.dictionary;
+            }
+
+            if (column.nullable) {
+                computedColumn.nullable = true;
+                nullableColumns.push(computedColumn);
+            }
+
             resultColumns.push(computedColumn);
         }
 
-        const sortedColumns = resultColumns.slice().sort((c1, c2) => c1.type - c2.type);
+        // the validity bits of the nullable columns are packed at the end of the rows in RELATIONAL tables
+        const validityStart = rowLength;
+        rowLength += (nullableColumns.length + 7) >> 3;
+
+        const sortedColumns = resultColumns.slice().sort(compareColumnLayout);
         let rowStep;
         if (layout === Header.memoryLayout.COLUMNAR) {
             const rowCount = Math.floor(memoryLength / rowLength);
@@ -189,7 +275,7 @@ export class Header {
             /*
             /// #endif
             if (!rowCount) {
-                throw 'ERROR: Not a single row of the specified data fits in the provided memory length';
+                throw new KrudaOutOfMemoryError(rowLength, memoryLength, memoryLength, 'Not a single row of the specified data fits in the provided memory length');
             }
             /// #if !_DEBUG
              */
@@ -198,10 +284,20 @@ export class Header {
             for (let i = 0, n = sortedColumns.length; i < n; ++i) {
                 const column = sortedColumns[i];
                 if (!column.hasOwnProperty('offset')) {
+                    // the data starts 8 byte aligned, start each column aligned to its type so it can be viewed as a
+                    // typed array
+                    const alignment = Math.min(binaryTypeFromIndex(column.type).alignment, 8) || 1;
+                    offset = Math.ceil(offset / alignment) * alignment;
                     column.dataOffset = offset;
-                    offset += column.length * rowCount;
+                    // boolean columns are packed as bits
+                    offset += binaryTypeFromIndex(column.type) === Bool ? (rowCount + 7) >> 3 : column.length * rowCount;
                 }
             }
+            // each nullable column has its own validity bitmap after the data of all the columns
+            for (let i = 0, n = nullableColumns.length; i < n; ++i) {
+                nullableColumns[i].validityOffset = offset * 8;
+                offset += (rowCount + 7) >> 3;
+            }
             rowStep = sortedColumns[0].length;
         } else {
             let offset = 0;
@@ -212,8 +308,12 @@ export class Header {
                     offset += column.length;
                 }
             }
-            // make sure the row step is a multiple of four
-            rowStep = ((rowLength - 1) | 3) + 1;
+            for (let i = 0, n = nullableColumns.length; i < n; ++i) {
+                nullableColumns[i].validityOffset = validityStart * 8 + i;
+            }
+            // make sure the row step is a multiple of four, or of the widest alignment if larger
+            const alignment = Math.max(4, binaryTypeFromIndex(sortedColumns[0].type).alignment);
+            rowStep = ((rowLength - 1) | (alignment - 1)) + 1;
         }
 
         return {
@@ -246,11 +346,39 @@ export class Header {
         const columnCount = header.columns.length;
         let columnNameLength = 0;
 
+        let dictionaryLength = 0;
+        let stringPoolMetaLength = 0;
+        let validityLength = 0;
+
+        // names and dictionary entries are stored as UTF-8, up to 255 bytes each
+        const names = [];
+        const dictionaries = [];
         for (let i = 0; i < columnCount; ++i) {
-            columnNameLength += Math.min(255, header.columns[i].name.length) + 1;
+            names.push(ByteString.encode(header.columns[i].name, 255));
+            columnNameLength += names[i].length + 1;
+            if (binaryTypeFromIndex(header.columns[i].type) === Text) {
+                stringPoolMetaLength = 8;
+            }
+            if (header.columns[i].nullable) {
+                validityLength = 4 * columnCount;
+            }
+            if (binaryTypeFromIndex(header.columns[i].type) === Category) {
+                const dictionary = header.columns[i].dictionary.map(value => ByteString.encode(value, 255));
+                dictionaryLength += 4;
+                for (let d = 0, dn = dictionary.length; d < dn; ++d) {
+                    dictionaryLength += dictionary[d].length + 1;
+                }
+                dictionaries.push(dictionary);
+            } else {
+                dictionaries.push(null);
+            }
         }
 
-        const headerLength = (kColumnMetaLength * columnCount + columnNameLength + kHeaderMetaLength + 3) & ~0x03; // round to nearest 4
+        const dictionaryOffset = (kColumnMetaLength * columnCount + columnNameLength + kHeaderMetaLength + 3) & ~0x03;
+        const stringPoolMetaOffset = (dictionaryOffset + dictionaryLength + 3) & ~0x03;
+        const validityOffset = stringPoolMetaOffset + stringPoolMetaLength;
+        // the rows start 8 byte aligned so 8 byte columns can be viewed as typed arrays
+        const headerLength = (validityOffset + validityLength + 7) & ~0x07;
         const buffer = new ArrayBuffer(headerLength);
         const view = new DataView(buffer);
         let nameOffset = kColumnMetaLength * columnCount + kHeaderMetaLength;
@@ -258,6 +386,7 @@ export class Header {
         let name;
         let ii;
         let nn;
+        let dictionary;
 
         view.setUint32(offset, headerLength, true); // header length
         offset += 4;
@@ -293,15 +422,51 @@ export class Header {
             view.setUint32(offset, header.columns[i].type, true);
             offset += 4;
 
-            name = header.columns[i].name;
-            nn = Math.min(255, name.length);
+            name = names[i];
+            nn = name.length;
             view.setUint8(nameOffset++, nn);
 
             for (ii = 0; ii < nn; ++ii) {
-                view.setUint8(nameOffset++, name.charCodeAt(ii));
+                view.setUint8(nameOffset++, name[ii]);
+            }
+        }
+
+        offset = dictionaryOffset;
+        for (let i = 0; i < columnCount; ++i) {
+            dictionary = dictionaries[i];
+            if (dictionary) {
+                view.setUint32(offset, dictionary.length, true);
+                offset += 4;
+
+                for (let d = 0, dn = dictionary.length; d < dn; ++d) {
+                    nn = dictionary[d].length;
+                    view.setUint8(offset++, nn);
+
+                    for (ii = 0; ii < nn; ++ii) {
+                        view.setUint8(offset++, dictionary[d][ii]);
+                    }
+                }
             }
         }
 
+        if (stringPoolMetaLength) {
+            // the string pool is placed the first time a string is written to the table
+            view.setUint32(stringPoolMetaOffset, 0, true);
+            view.setUint32(stringPoolMetaOffset + 4, 0, true);
+        }
+
+        if (validityLength) {
+            for (let i = 0; i < columnCount; ++i) {
+                const column = header.columns[i];
+                view.setUint32(validityOffset + i * 4, column.nullable ? column.validityOffset : kNotNullable, true);
+            }
+        }
+
+        if (validityOffset + validityLength < headerLength) {
+            // a single column table reads the alignment padding as its validity offset
+            view.setUint32(headerLength - 4, kNotNullable, true);
+        }
+
         return buffer;
     }
 
@@ -310,7 +475,7 @@ export class Header {
      * @type {number}
      */
     get length() {
-        return this.mView.getUint32(this.mLengthOffset, true);
+        return this.mMemory.dataView.getUint32(this.mLengthOffset, true);
     }
 
     /**
@@ -318,7 +483,7 @@ export class Header {
      * @type {number}
      */
     get columnCount() {
-        return this.mView.getUint32(this.mColumnCountOffset, true);
+        return this.mMemory.dataView.getUint32(this.mColumnCountOffset, true);
     }
 
     /**
@@ -326,7 +491,7 @@ export class Header {
      * @type {number}
      */
     get rowCount() {
-        return this.mView.getUint32(this.mRowCountOffset, true);
+        return this.mMemory.dataView.getUint32(this.mRowCountOffset, true);
     }
 
     /**
@@ -334,7 +499,7 @@ export class Header {
      * @type {number}
      */
     get rowLength() {
-        return this.mView.getUint32(this.mRowLengthOffset, true);
+        return this.mMemory.dataView.getUint32(this.mRowLengthOffset, true);
     }
 
     /**
@@ -342,7 +507,7 @@ export class Header {
      * @type {number}
      */
     get rowStep() {
-        return this.mView.getUint32(this.mRowStepOffset, true);
+        return this.mMemory.dataView.getUint32(this.mRowStepOffset, true);
     }
 
     /**
@@ -350,7 +515,7 @@ export class Header {
      * @type {number}
      */
     get dataLength() {
-        return this.mView.getUint32(this.mDataLengthOffset, true);
+        return this.mMemory.dataView.getUint32(this.mDataLengthOffset, true);
     }
 
     /**
@@ -358,7 +523,55 @@ export class Header {
      * @type {MemoryLayout}
      */
     get layout() {
-        return this.mView.getUint32(this.mLayoutOffset, true);
+        return this.mMemory.dataView.getUint32(this.mLayoutOffset, true);
+    }
+
+    /**
+     * The offset, in bytes, from the beginning of the table's memory block to its string pool, the pool takes the rest
+     * of the memory block. Zero if the table has no `Text` columns or no string has been written to it yet.
+     * @type {number}
+     */
+    get stringPoolOffset() {
+        return this.mStringPoolOffsetOffset === -1 ? 0 : this.mMemory.dataView.getUint32(this.mStringPoolOffsetOffset, true);
+    }
+
+    /**
+     * The number of bytes used in the string pool of the table.
+     * @type {number}
+     */
+    get stringPoolLength() {
+        return this.mStringPoolLengthOffset === -1 ? 0 : this.mMemory.dataView.getUint32(this.mStringPoolLengthOffset, true);
+    }
+
+    /**
+     * The maximum number of rows that fit in the memory block containing the table.
+     * @type {number}
+     */
+    get rowCapacity() {
+        const available = (this.stringPoolOffset || this.mMemory.size) - this.length;
+        if (this.layout !== MemoryLayout.COLUMNAR) {
+            return Math.floor(available / this.rowStep);
+        }
+
+        // every column, and validity bitmap, can grow until the beginning of the next one
+        const starts = [];
+        for (let i = 0, n = this.mColumns.length; i < n; ++i) {
+            starts.push(this.mColumns[i].dataOffset);
+            if (this.mColumns[i].nullable) {
+                starts.push(this.mColumns[i].validityOffset >> 3);
+            }
+        }
+
+        let capacity = Infinity;
+        for (let i = 0, n = this.mColumns.length; i < n; ++i) {
+            const column = this.mColumns[i];
+            capacity = Math.min(capacity, Math.floor((this._nextStart(starts, column.dataOffset, available) - column.dataOffset) / column.size));
+            if (column.nullable) {
+                const validityStart = column.validityOffset >> 3;
+                capacity = Math.min(capacity, (this._nextStart(starts, validityStart, available) - validityStart) * 8);
+            }
+        }
+        return capacity;
     }
 
     /**
@@ -388,15 +601,15 @@ export class Header {
         /// #if !_DEBUG
         /*
         /// #endif
-        if (value * this.rowLength > this.mMemory.byteSize) {
-            throw `ERROR: New row count of ${count} exceed the bounds of the table's containing memory block`;
+        if (count > this.rowCapacity) {
+            throw new KrudaBoundsError(`New row count of ${count} exceed the bounds of the table's containing memory block`, count, this.rowCapacity + 1);
         }
         /// #if !_DEBUG
          */
         /// #endif
         const memoryView = new Uint32Array(this.mMemory.buffer, this.mMemory.address);
         // change the data length
-        Atomize.store(memoryView, this.mDataLengthOffset / 4, count * this.rowLength);
+        Atomize.store(memoryView, this.mDataLengthOffset / 4, count * this._rowDataLength());
         // change the row count and return the old value
         return Atomize.exchange(memoryView, this.mRowCountOffset / 4, count);
     }
@@ -410,16 +623,82 @@ export class Header {
         /// #if !_DEBUG
         /*
         /// #endif
-        if ((this.rowCount + count) * this.rowLength > this.mMemory.byteSize) {
-            throw `ERROR: Adding ${count} rows to the table would exceed the bounds of its containing memory block`;
+        if (this.rowCount + count > this.rowCapacity) {
+            throw new KrudaBoundsError(`Adding ${count} rows to the table would exceed the bounds of its containing memory block`, this.rowCount + count, this.rowCapacity + 1);
         }
         /// #if !_DEBUG
          */
         /// #endif
         const memoryView = new Uint32Array(this.mMemory.buffer, this.mMemory.address);
         // increase the data length
-        Atomize.add(memoryView, this.mDataLengthOffset / 4, count * this.rowLength);
+        Atomize.add(memoryView, this.mDataLengthOffset / 4, count * this._rowDataLength());
         // increase the row count and return the old value
         return Atomize.add(memoryView, this.mRowCountOffset / 4, count);
     }
+
+    /**
+     * Changes the location of the string pool of the table.
+     * NOTE: This function does not move the contents of the string pool.
+     * @param {number} offset - The offset, in bytes, from the beginning of the table's memory block to the string pool.
+     */
+    setStringPoolOffset(offset) {
+        /// #if !_DEBUG
+        /*
+        /// #endif
+        if (this.mStringPoolOffsetOffset === -1) {
+            throw new KrudaSchemaError('Only tables with Text columns have a string pool');
+        }
+        /// #if !_DEBUG
+         */
+        /// #endif
+        this.mMemory.dataView.setUint32(this.mStringPoolOffsetOffset, offset, true);
+    }
+
+    /**
+     * Modifies this header atomically to reserve the specified number of bytes in the string pool of the table and
+     * returns the offset of the reserved bytes within the pool.
+     * NOTE: This function does not change the underlying data storage or its contents.
+     * @param {number} count - The number of bytes to reserve.
+     * @return {number}
+     */
+    addStringPoolBytes(count) {
+        /// #if !_DEBUG
+        /*
+        /// #endif
+        if (this.mStringPoolLengthOffset === -1) {
+            throw new KrudaSchemaError('Only tables with Text columns have a string pool');
+        }
+        /// #if !_DEBUG
+         */
+        /// #endif
+        const memoryView = new Uint32Array(this.mMemory.buffer, this.mMemory.address);
+        return Atomize.add(memoryView, this.mStringPoolLengthOffset / 4, count);
+    }
+
+    /**
+     * Finds the closest of the specified offsets after `offset`, or `limit` if none of them is closer.
+     * @param {number[]} offsets - The offsets to search.
+     * @param {number} offset - The offset to search from.
+     * @param {number} limit - The offset returned if no other offset is closer.
+     * @return {number}
+     * @private
+     */
+    _nextStart(offsets, offset, limit) {
+        let next = limit;
+        for (let i = 0, n = offsets.length; i < n; ++i) {
+            if (offsets[i] > offset && offsets[i] < next) {
+                next = offsets[i];
+            }
+        }
+        return next;
+    }
+
+    /**
+     * The number of bytes each row adds to the data length of the table. Relational rows are padded to the row step.
+     * @return {number}
+     * @private
+     */
+    _rowDataLength() {
+        return this.layout === MemoryLayout.COLUMNAR ? this.rowLength : this.rowStep;
+    }
 }
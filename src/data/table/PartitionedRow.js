@@ -0,0 +1,213 @@
+/*
+ * Copyright (c) 2019 Uncharted Software Inc.
+ * http://www.uncharted.software/
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+import {Row} from './Row';
+import {KrudaBoundsError} from '../../core/Errors'; // eslint-disable-line no-unused-vars
+
+/**
+ * Class to read and write values of a row in a {@link PartitionedTable}.
+ * Constructs an instance of a row in the given table at the specified index.
+ * Internally, a partitioned row keeps a {@link Row} for each partition it visits and forwards all its accessors to
+ * the row of the partition the current index falls into, accessors and fields are stable and can be cached.
+ * WARNING: String returned by a row will mutate when the row's address changes, if strings with constant values are
+ * needed, either copy of the string or create a JS string from it by calling `toString` on it.
+ * @class PartitionedRow
+ * @param {PartitionedTable} table - The table this row belongs to.
+ * @param {number=} index - the row index at which this instance will read data. Defaults to 0.
+ * @param {boolean=} binary - Should this row return binary strings.
+ */
+export class PartitionedRow {
+    constructor(table, index = 0, binary = false) {
+        this.mTable = table;
+        this.mBinary = binary;
+        this.mRows = [];
+        this.mRow = null;
+        this.mLocation = { partition: -1, firstRow: 0, rowCount: 0 };
+        this.mIndex = 0;
+        this.mAccessors = [];
+        this.mFields = {};
+
+        this._selectPartition(0, 0);
+
+        const columns = this.mTable.header.columns;
+        for (let i = 0, n = columns.length; i < n; ++i) {
+            const accessor = {
+                column: columns[i],
+                getter: this._createPropertyGetter(i),
+                setter: this._createPropertySetter(i),
+            };
+
+            this.mAccessors.push(accessor);
+
+            Object.defineProperty(this.mFields, columns[i].name.toString(), {
+                get: accessor.getter,
+                set: accessor.setter,
+            });
+        }
+
+        if (index) {
+            this.index = index;
+        }
+    }
+
+    /**
+     * The size, in bytes, of a row in the table.
+     * @type {number}
+     */
+    get size() {
+        return this.mRow.size;
+    }
+
+    /**
+     * The number of bytes the internal pointer shifts in order to move to the next/previous row in the data.
+     * @type {number}
+     */
+    get step() {
+        return this.mRow.step;
+    }
+
+    /**
+     * The table this row belongs to.
+     * @type {PartitionedTable}
+     */
+    get table() {
+        return this.mTable;
+    }
+
+    /**
+     * The index of the partition the current row belongs to.
+     * @type {number}
+     */
+    get partition() {
+        return this.mLocation.partition;
+    }
+
+    /**
+     * An array containing the names of the columns in the table this row belongs to.
+     * @type {Array<{name: string, size: number, offset: number, type: Type}>}
+     */
+    get columns() {
+        return this.mTable.header.columns;
+    }
+
+    /**
+     * An object containing the column names as keys and their index in the table's header as their value.
+     * @type {Object<string, number>}
+     */
+    get names() {
+        return this.mTable.header.names;
+    }
+
+    /**
+     * An array, ordeed by the order in which each field appears in the table's header, containing accessor objects for
+     * the fields in this row.
+     * @type {Array<{column:string, getter:function():*, setter:function(any):void}>}
+     */
+    get accessors() {
+        return this.mAccessors;
+    }
+
+    /**
+     * An object containing properties to get and set the values for the fields in this row based on their column names.
+     * @type {object}
+     */
+    get fields() {
+        return this.mFields;
+    }
+
+    /**
+     * The internal pointer of the partition row this row is currently forwarding to.
+     * WARNING: The pointer changes when the row moves to a different partition.
+     * @type {Pointer}
+     */
+    get pointer() {
+        return this.mRow.pointer;
+    }
+
+    /**
+     * The global row index this instance is currently pointing at.
+     * @type {number}
+     */
+    get index() {
+        return this.mIndex;
+    }
+    set index(value) {
+        const location = this.mLocation;
+        if (value < location.firstRow || value >= location.firstRow + location.rowCount) {
+            /// #if !_DEBUG
+            /*
+            /// #endif
+            if (value >= this.mTable.rowCount) {
+                throw new KrudaBoundsError('Index out of bounds', value, this.mTable.rowCount);
+            }
+            /// #if !_DEBUG
+             */
+            /// #endif
+            this.mTable.locateRow(value, location);
+            this._selectPartition(location.partition, location.firstRow);
+        }
+        this.mIndex = value;
+        this.mRow.index = value - location.firstRow;
+    }
+
+    /**
+     * Makes the partition at the specified index the one this row forwards its accessors to.
+     * @param {number} partition - The index of the partition.
+     * @param {number} firstRow - The global index of the first row in the partition.
+     * @private
+     */
+    _selectPartition(partition, firstRow) {
+        if (!this.mRows[partition]) {
+            this.mRows[partition] = new Row(this.mTable.partitions[partition], 0, this.mBinary);
+        }
+        this.mRow = this.mRows[partition];
+        this.mLocation.partition = partition;
+        this.mLocation.firstRow = firstRow;
+        this.mLocation.rowCount = this.mTable.partitions[partition].rowCount;
+    }
+
+    /**
+     * Creates a function that returns the contents of the field at the specified column index in the current partition.
+     * @param {number} index - The index of the column in the table's header.
+     * @return {function():*}
+     * @private
+     */
+    _createPropertyGetter(index) {
+        const row = this;
+        return function getPartitionedColumnValue() {
+            return row.mRow.accessors[index].getter();
+        };
+    }
+
+    /**
+     * Creates a function that sets the value of the field at the specified column index in the current partition.
+     * @param {number} index - The index of the column in the table's header.
+     * @return {function(value):void}
+     * @private
+     */
+    _createPropertySetter(index) {
+        const row = this;
+        return function setPartitionedColumnValue(value) {
+            row.mRow.accessors[index].setter(value);
+        };
+    }
+}
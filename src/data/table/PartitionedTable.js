@@ -0,0 +1,247 @@
+/*
+ * Copyright (c) 2019 Uncharted Software Inc.
+ * http://www.uncharted.software/
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+import {PartitionedRow} from './PartitionedRow';
+import {KrudaBoundsError, KrudaSchemaError} from '../../core/Errors'; // eslint-disable-line no-unused-vars
+
+/**
+ * Class that represents a table split in multiple partitions, each partition is a {@link Table} living in its own
+ * memory block, possibly in a different heap or heap segment. Allows tables to grow past the max size of a single
+ * heap. Rows are indexed globally, row 0 is the first row of the first partition, followed by the rest of the rows in
+ * the first partition, then the rows in the second partition and so on.
+ * All the partitions must have the same columns, in the same order, but each one keeps its own header and can be
+ * filled independently by any of the existing loaders. Category columns must use the same dictionary in all partitions.
+ * @class PartitionedTable
+ * @param {Table[]=} partitions - The tables to use as the partitions of this table. Defaults to an empty array.
+ */
+export class PartitionedTable {
+    constructor(partitions = []) {
+        this.mPartitions = [];
+        for (let i = 0, n = partitions.length; i < n; ++i) {
+            this.addPartition(partitions[i]);
+        }
+    }
+
+    /**
+     * Destroys this table instance and frees the memory associated with all of its partitions. This method must be
+     * called when the memory associated to this table is no longer needed to avoid memory leaks in kruda's internal
+     * memory management system.
+     */
+    destroy() {
+        for (let i = 0, n = this.mPartitions.length; i < n; ++i) {
+            this.mPartitions[i].destroy();
+        }
+        delete this.mPartitions;
+    }
+
+    /**
+     * The tables that make up the partitions of this table.
+     * WARNING: Do not modify this array, use `addPartition` instead.
+     * @type {Table[]}
+     */
+    get partitions() {
+        return this.mPartitions;
+    }
+
+    /**
+     * The number of partitions in this table.
+     * @type {number}
+     */
+    get partitionCount() {
+        return this.mPartitions.length;
+    }
+
+    /**
+     * The header of the first partition in this table. Contains column names, order in memory, original order and type
+     * information.
+     * NOTE: The row count and data length in this header only reflect the first partition.
+     * @type {Header}
+     */
+    get header() {
+        return this.mPartitions[0].header;
+    }
+
+    /**
+     * The total number of rows in all the partitions of this table.
+     * @type {number}
+     */
+    get rowCount() {
+        let rowCount = 0;
+        for (let i = 0, n = this.mPartitions.length; i < n; ++i) {
+            rowCount += this.mPartitions[i].rowCount;
+        }
+        return rowCount;
+    }
+
+    /**
+     * Adds a table as the last partition of this table.
+     * @param {Table} table - The table to add, must have the same columns as the rest of the partitions.
+     * @return {number} - The index of the new partition.
+     */
+    addPartition(table) {
+        /// #if !_DEBUG
+        /*
+        /// #endif
+        if (this.mPartitions.length) {
+            const columns = this.mPartitions[0].header.columns;
+            const newColumns = table.header.columns;
+            if (columns.length !== newColumns.length) {
+                throw new KrudaSchemaError('All partitions in a table must have the same columns');
+            }
+            for (let i = 0, n = columns.length; i < n; ++i) {
+                if (columns[i].type !== newColumns[i].type || columns[i].nullable !== newColumns[i].nullable || columns[i].name.toString() !== newColumns[i].name.toString()) {
+                    throw new KrudaSchemaError('All partitions in a table must have the same columns', columns[i].name.toString());
+                }
+                const dictionary = columns[i].dictionary;
+                if (dictionary && (dictionary.length !== newColumns[i].dictionary.length || dictionary.some((value, d) => value !== newColumns[i].dictionary[d]))) {
+                    throw new KrudaSchemaError('All partitions in a table must use the same category dictionaries', columns[i].name.toString());
+                }
+            }
+        }
+        /// #if !_DEBUG
+         */
+        /// #endif
+        this.mPartitions.push(table);
+        return this.mPartitions.length - 1;
+    }
+
+    /**
+     * Finds the partition that contains the row at the specified index and writes the partition index and the index of
+     * its first row to the `result` object.
+     * @param {number} index - The global index of the row to look for.
+     * @param {{partition: number, firstRow: number, rowCount: number}=} result - An optional object to write the
+     * result to. Useful to reduce garbage collection.
+     * @return {{partition: number, firstRow: number, rowCount: number}|null} - The result object or `null` if the index is
+     * out of bounds.
+     */
+    locateRow(index, result = { partition: 0, firstRow: 0, rowCount: 0 }) {
+        let firstRow = 0;
+        let rowCount;
+        for (let i = 0, n = this.mPartitions.length; i < n; ++i) {
+            rowCount = this.mPartitions[i].rowCount;
+            if (index < firstRow + rowCount) {
+                result.partition = i;
+                result.firstRow = firstRow;
+                result.rowCount = rowCount;
+                return result;
+            }
+            firstRow += rowCount;
+        }
+        return null;
+    }
+
+    /**
+     * Gets a new Row instance pointing at the row at the specified index.
+     * NOTE: The returned row can be moved to point to a different row by changing its `index` property.
+     * @param {number} index - The index of the row to get the data from.
+     * @param {PartitionedRow=} row - An optional row, belonging to this table, to reuse. Useful to reduce garbage collection.
+     * @return {PartitionedRow}
+     */
+    getRow(index, row = new PartitionedRow(this, index)) {
+        /// #if !_DEBUG
+        /*
+        /// #endif
+        if (index >= this.rowCount) {
+            throw new KrudaBoundsError('Index out of bounds', index, this.rowCount);
+        }
+        /// #if !_DEBUG
+         */
+        /// #endif
+        row.index = index;
+        return row;
+    }
+
+    /**
+     * Gets a new Row instance pointing at the row at the specified index. The resulting row will return
+     * {@link ByteString} instances for the column fields which are strings. ByteStrings are faster to work with but are
+     * not replacements for JavaScript strings.
+     * NOTE: The returned row can be moved to point to a different row by changing its `index` property.
+     * @param {number} index - The index of the row to get the data from.
+     * @param {PartitionedRow=} row - An optional row, belonging to this table, to reuse. Useful to reduce garbage collection.
+     * @return {PartitionedRow}
+     */
+    getBinaryRow(index, row = new PartitionedRow(this, index, true)) {
+        /// #if !_DEBUG
+        /*
+        /// #endif
+        if (index >= this.rowCount) {
+            throw new KrudaBoundsError('Index out of bounds', index, this.rowCount);
+        }
+        /// #if !_DEBUG
+         */
+        /// #endif
+        row.index = index;
+        return row;
+    }
+
+    /**
+     * Creates a copy of this table by cloning each one of its partitions into the specified heap.
+     * @param {Heap|SegmentedHeap|Arena=} heap - The heap where the copies will be allocated, defaults to the heap where
+     * each partition is allocated.
+     * @return {PartitionedTable}
+     */
+    clone(heap = null) {
+        const partitions = [];
+        for (let i = 0, n = this.mPartitions.length; i < n; ++i) {
+            partitions.push(heap ? this.mPartitions[i].clone(heap) : this.mPartitions[i].clone());
+        }
+        return new PartitionedTable(partitions);
+    }
+
+    /**
+     * Iterates through all the rows in this table, across all partitions, and invokes the provided callback `itr` on
+     * each iteration.
+     * WARNING: This function is designed to avoid garbage collection and improve performance so the row passed to the
+     * `itr` callback is reused, the row cannot be stored as its contents will change. If you need to store unique rows
+     * consider using the `getRow` method.
+     * @param {function(row:PartitionedRow, i:number):void} itr - Callback function to invoke for each row in this table.
+     */
+    forEach(itr) {
+        const row = new PartitionedRow(this, 0);
+        for (let i = 0, n = this.rowCount; i < n; ++i) {
+            row.index = i;
+            itr(row, i);
+        }
+    }
+
+    /*
+     * Iterable protocol implementation: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Iteration_protocols#iterable
+     * WARNING: This function is designed to avoid garbage collection and improve performance so the row passed to the
+     * `itr` callback is reused, the row cannot be stored as its contents will change. If you need to store unique rows
+     * consider using the `getRow` method.
+     * @return {Iterator}
+     */
+    [Symbol.iterator]() {
+        return {
+            i: 0,
+            n: this.rowCount,
+            row: new PartitionedRow(this, 0),
+            next() {
+                if (this.i < this.n) {
+                    this.row.index = this.i++;
+                    return { value: this.row, done: false };
+                }
+                return { value: undefined, done: true };
+            },
+        };
+    }
+}
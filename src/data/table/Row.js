@@ -23,7 +23,12 @@
 import {Pointer} from '../../core/Pointer';
 import * as Types from '../../core/Types';
 import {ByteString} from '../types/ByteString';
+import {Category} from '../types/Category';
+import {Text} from '../types/Text';
 import {Header} from './Header';
+import {Atomize} from '../../core/Atomize';
+import {KrudaSchemaError} from '../../core/Errors';
+import {KrudaBoundsError} from '../../core/Errors'; // eslint-disable-line no-unused-vars
 
 /**
  * Class to read and write values of a row in a {@link Table}.
@@ -32,10 +37,17 @@ import {Header} from './Header';
  * easy access.
  * WARNING: String returned by a row will mutate when the row's address changes, if strings with constant values are
  * needed, either copy of the string or create a JS string from it by calling `toString` on it.
+ * Fields in nullable columns return `null` when they are null and can be set to `null`, the validity of new rows is not
+ * initialized so nullable fields must be written before they are read.
+ * Fields in decimal columns are returned as strings formatted with the column's scale, binary rows read and write the
+ * scaled integers, as BigInts, instead.
+ * Fields in array columns, such as `Types.array(Float32, 128)`, return a TypedArray viewing the field's memory, the view
+ * keeps pointing to the same field when the row's index changes and is invalid once the table's memory moves.
  * @class Row
  * @param {Table} table - The table this row belongs to.
  * @param {number=} index - the row index at which this instance will read data. Defaults to 0.
- * @param {boolean=} binary - Should this row return binary strings.
+ * @param {boolean=} binary - Should this row return binary strings, category codes instead of their strings and scaled
+ * integers instead of decimal strings.
  */
 export class Row {
     constructor(table, index = 0, binary = false) {
@@ -64,7 +76,15 @@ export class Row {
             column = columns[i];
 
             let pointer;
-            if (isColumnar) {
+            if (isColumnar && column.type === Types.Bool) {
+                // bits are addressed from the row index so the pointer never moves
+                pointer = new Pointer(this.mTable.memory, this.mTableOffset + column.dataOffset, Types.Void);
+                this.mPointers.push({
+                    pointer,
+                    offset: this.mTableOffset + column.dataOffset,
+                    step: 0,
+                });
+            } else if (isColumnar) {
                 pointer = new Pointer(this.mTable.memory, this.mTableOffset + column.dataOffset + this.mIndex * column.size, Types.Void);
                 this.mPointers.push({
                     pointer,
@@ -81,6 +101,21 @@ export class Row {
                 setter: this._createPropertySetter(column, pointer),
             };
 
+            if (column.nullable) {
+                let validityPointer = this.mPointers[0].pointer;
+                if (isColumnar) {
+                    // validity bits are addressed from the row index so the pointer never moves
+                    validityPointer = new Pointer(this.mTable.memory, this.mTableOffset + (column.validityOffset >> 3), Types.Void);
+                    this.mPointers.push({
+                        pointer: validityPointer,
+                        offset: this.mTableOffset + (column.validityOffset >> 3),
+                        step: 0,
+                    });
+                }
+                accessor.getter = this._createNullableGetter(column, validityPointer, accessor.getter);
+                accessor.setter = this._createNullableSetter(column, validityPointer, accessor.setter);
+            }
+
             this.mAccessors.push(accessor);
 
             Object.defineProperty(this.mFields, column.name.toString(), {
@@ -172,8 +207,8 @@ export class Row {
         /// #if !_DEBUG
         /*
         /// #endif
-        if (!value >= this.mTable.rowCount) {
-            throw 'ERROR: Index out of bounds!';
+        if (value < 0 || value >= this.mTable.rowCount) {
+            throw new KrudaBoundsError('Index out of bounds', value, this.mTable.rowCount);
         }
         /// #if !_DEBUG
          */
@@ -198,6 +233,42 @@ export class Row {
     _createPropertyGetter(description, pointer) {
         const offset = description.offset;
         const type = description.type;
+        if (type === Types.Bool && this.mTable.header.layout === Header.memoryLayout.COLUMNAR) {
+            const row = this;
+            return function getColumnBit() {
+                return ((pointer.view.getUint8(pointer.address + (row.mIndex >> 3)) >> (row.mIndex & 7)) & 1) === 1;
+            };
+        }
+
+        if (type === Category) {
+            const size = description.size;
+            if (this.mBinary) {
+                return function getColumnCategoryCode() {
+                    return Category.getCode(pointer.view, pointer.address + offset, size);
+                };
+            }
+
+            const dictionary = description.dictionary;
+            return function getColumnCategory() {
+                return dictionary[Category.getCode(pointer.view, pointer.address + offset, size)];
+            };
+        }
+
+        if (type === Text) {
+            const table = this.mTable;
+            return function getColumnText() {
+                const view = pointer.view;
+                return table._readString(view.getUint32(pointer.address + offset, true), view.getUint32(pointer.address + offset + 4, true));
+            };
+        }
+
+        if (Types.isDecimalType(type) && this.mBinary) {
+            const storageType = type.storageType;
+            return function getColumnDecimalScaled() {
+                return BigInt(storageType.get(pointer.view, pointer.address + offset));
+            };
+        }
+
         if (type === ByteString) {
             const string = ByteString.fromPointer(pointer, offset, description.size);
             if (this.mBinary) {
@@ -227,13 +298,72 @@ export class Row {
     _createPropertySetter(description, pointer) {
         const offset = description.offset;
         const type = description.type;
+        if (type === Types.Bool && this.mTable.header.layout === Header.memoryLayout.COLUMNAR) {
+            // other rows share the byte, update the bit atomically so rows can be written from multiple threads
+            const row = this;
+            let view = null;
+            let bytes = null;
+            return function setColumnBit(value) {
+                if (view !== pointer.view) {
+                    view = pointer.view;
+                    bytes = new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+                }
+                const index = pointer.address + (row.mIndex >> 3);
+                const mask = 1 << (row.mIndex & 7);
+                if (value) {
+                    Atomize.or(bytes, index, mask);
+                } else {
+                    Atomize.and(bytes, index, ~mask);
+                }
+            };
+        }
+
+        if (type === Category) {
+            const size = description.size;
+            return function setColumnCategory(value) {
+                const code = typeof value === 'number' ? value : description.codeOf(value.toString());
+                if (code === -1) {
+                    throw new KrudaSchemaError(`Value [${value}] is not in the dictionary of column "${description.name}"`, description.name.toString());
+                }
+                /// #if !_DEBUG
+                /*
+                /// #endif
+                if (code >= description.dictionary.length) {
+                    throw new KrudaBoundsError('Category code out of bounds', code, description.dictionary.length);
+                }
+                /// #if !_DEBUG
+                 */
+                /// #endif
+                Category.setCode(pointer.view, pointer.address + offset, size, code);
+            };
+        }
+
+        if (Types.isDecimalType(type) && this.mBinary) {
+            return function setColumnDecimalScaled(value) {
+                type.setScaled(pointer.view, pointer.address + offset, value);
+            };
+        }
+
+        if (type === Text) {
+            // strings are appended to the table's string pool, the bytes of the previous value are not reclaimed
+            const table = this.mTable;
+            return function setColumnText(value) {
+                const str = value.toString();
+                const length = Text.byteLength(str);
+                const stringOffset = length ? table._writeString(str, length) : 0;
+                // the table's memory might have moved while writing the string
+                const view = pointer.view;
+                view.setUint32(pointer.address + offset, stringOffset, true);
+                view.setUint32(pointer.address + offset + 4, length, true);
+            };
+        }
 
         return function setColumnValue(value) {
             /// #if !_DEBUG
             /*
             /// #endif
-            if (type === ByteString && value.length > description.size - 1) {
-                throw `ERROR: Value [${value}] is longer than the max length allowed (${description.size - 1}).`
+            if (type === ByteString && ByteString.byteLength(value) > description.size - 1) {
+                throw new KrudaBoundsError(`Value [${value}] is longer than the max length allowed (${description.size - 1} bytes)`, ByteString.byteLength(value), description.size);
             }
             /// #if !_DEBUG
              */
@@ -241,4 +371,65 @@ export class Row {
             type.set(pointer.view, pointer.address + offset, value);
         };
     }
+
+    /**
+     * Wraps the getter of a nullable column's field so it returns `null` when the field's validity bit is not set.
+     * @param {Column} description - Descriptions of the column this field belongs to.
+     * @param {Pointer} pointer - The pointer to the row in RELATIONAL tables, or to the column's validity bitmap in
+     * COLUMNAR tables.
+     * @param {function():*} getter - The getter of the field.
+     * @return {function():*}
+     * @private
+     */
+    _createNullableGetter(description, pointer, getter) {
+        if (this.mTable.header.layout === Header.memoryLayout.COLUMNAR) {
+            const row = this;
+            return function getColumnNullable() {
+                return (pointer.view.getUint8(pointer.address + (row.mIndex >> 3)) >> (row.mIndex & 7)) & 1 ? getter() : null;
+            };
+        }
+
+        const offset = description.validityOffset >> 3;
+        const mask = 1 << (description.validityOffset & 7);
+        return function getRowNullable() {
+            return pointer.view.getUint8(pointer.address + offset) & mask ? getter() : null;
+        };
+    }
+
+    /**
+     * Wraps the setter of a nullable column's field so it accepts `null` and updates the field's validity bit.
+     * @param {Column} description - Descriptions of the column this field belongs to.
+     * @param {Pointer} pointer - The pointer to the row in RELATIONAL tables, or to the column's validity bitmap in
+     * COLUMNAR tables.
+     * @param {function(value):void} setter - The setter of the field.
+     * @return {function(value):void}
+     * @private
+     */
+    _createNullableSetter(description, pointer, setter) {
+        // other rows, or columns, share the byte, update the bit atomically so rows can be written from multiple threads
+        const row = this;
+        const isColumnar = this.mTable.header.layout === Header.memoryLayout.COLUMNAR;
+        const offset = description.validityOffset >> 3;
+        const bit = description.validityOffset & 7;
+        let view = null;
+        let bytes = null;
+        return function setNullable(value) {
+            if (value !== null) {
+                setter(value);
+            }
+
+            // setting the value can move the table's memory
+            if (view !== pointer.view) {
+                view = pointer.view;
+                bytes = new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+            }
+            const index = pointer.address + (isColumnar ? row.mIndex >> 3 : offset);
+            const mask = 1 << (isColumnar ? row.mIndex & 7 : bit);
+            if (value === null) {
+                Atomize.and(bytes, index, ~mask);
+            } else {
+                Atomize.or(bytes, index, mask);
+            }
+        };
+    }
 }
@@ -0,0 +1,116 @@
+/*
+ * Copyright (c) 2019 Uncharted Software Inc.
+ * http://www.uncharted.software/
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+import {KrudaBoundsError} from '../../core/Errors'; // eslint-disable-line no-unused-vars
+
+/**
+ * Class to access values of the same type laid out at a fixed stride in a memory block, such as the values of a
+ * column in a RELATIONAL table. Values are read and written through the memory block's DataView, no data is copied.
+ * @class StridedView
+ * @param {MemoryBlock} memory - The memory containing the values.
+ * @param {Type} type - The type of the values.
+ * @param {number} byteOffset - The offset, in bytes, of the first value relative to the memory block.
+ * @param {number} stride - The number of bytes between two consecutive values.
+ * @param {number} length - The number of values in this view.
+ */
+export class StridedView {
+    constructor(memory, type, byteOffset, stride, length) {
+        this.mMemory = memory;
+        this.mType = type;
+        this.mByteOffset = byteOffset;
+        this.mStride = stride;
+        this.mLength = length;
+    }
+
+    /**
+     * The type of the values in this view.
+     * @type {Type}
+     */
+    get type() {
+        return this.mType;
+    }
+
+    /**
+     * The number of bytes between two consecutive values.
+     * @type {number}
+     */
+    get stride() {
+        return this.mStride;
+    }
+
+    /**
+     * The number of values in this view.
+     * @type {number}
+     */
+    get length() {
+        return this.mLength;
+    }
+
+    /**
+     * Reads the value at the specified index.
+     * @param {number} index - The index of the value to read.
+     * @return {*}
+     */
+    get(index) {
+        /// #if !_DEBUG
+        /*
+        /// #endif
+        if (index < 0 || index >= this.mLength) {
+            throw new KrudaBoundsError('Index out of bounds', index, this.mLength);
+        }
+        /// #if !_DEBUG
+         */
+        /// #endif
+        return this.mType.get(this.mMemory.dataView, this.mByteOffset + index * this.mStride);
+    }
+
+    /**
+     * Writes the value at the specified index.
+     * @param {number} index - The index of the value to write.
+     * @param {*} value - The value to write.
+     */
+    set(index, value) {
+        /// #if !_DEBUG
+        /*
+        /// #endif
+        if (index < 0 || index >= this.mLength) {
+            throw new KrudaBoundsError('Index out of bounds', index, this.mLength);
+        }
+        /// #if !_DEBUG
+         */
+        /// #endif
+        this.mType.set(this.mMemory.dataView, this.mByteOffset + index * this.mStride, value);
+    }
+
+    /**
+     * Copies the values in this view to a new array.
+     * @return {Array}
+     */
+    toArray() {
+        const result = new Array(this.mLength);
+        const view = this.mMemory.dataView;
+        for (let i = 0, n = this.mLength; i < n; ++i) {
+            result[i] = this.mType.get(view, this.mByteOffset + i * this.mStride);
+        }
+        return result;
+    }
+}
@@ -21,11 +21,17 @@
  * SOFTWARE.
  */
 
+import {Heap} from '../../core/Heap';
 import {Header} from './Header';
 import {Row} from './Row';
+import {Text} from '../types/Text';
+import {KrudaOutOfMemoryError} from '../../core/Errors';
+import {KrudaBoundsError, KrudaMemoryError} from '../../core/Errors'; // eslint-disable-line no-unused-vars
 
 /**
  * Class that represents a table in binary memory.
+ * The strings of `Text` columns are stored in a string pool at the end of the table's memory block. Tables that do not
+ * have a string pool get one, after their rows, the first time a string is written to them.
  * @class Table
  * @param {MemoryBlock} memory - The MemoryBlock containing the table's data
  */
@@ -86,9 +92,16 @@ export class Table {
      * @return {Table}
      */
     static emptyFromBinaryHeader(header, memory) {
-        const memoryView = new Uint8Array(memory.buffer);
-        const headerView = new Uint8Array(header);
-        memoryView.set(headerView, memory.address);
+        /// #if !_DEBUG
+        /*
+        /// #endif
+        if ((memory.address + header.byteLength) % 8) {
+            throw new KrudaMemoryError('Table data must start at an address aligned to 8 bytes', memory.address + header.byteLength);
+        }
+        /// #if !_DEBUG
+         */
+        /// #endif
+        Heap.copy(memory, 0, header, 0, header.byteLength);
         return new Table(memory);
     }
 
@@ -126,11 +139,18 @@ export class Table {
 
     /**
      * Adds the specified number of rows to this table and returns the old row count.
+     * Tables with a RELATIONAL layout grow their memory block, using `Heap.realloc`, when the new rows do not fit in it.
      * NOTE: The memory in the new rows is NOT cleared before returning.
+     * WARNING: Growing the memory block can move the table in memory, tables being written from multiple threads should
+     * be allocated big enough to hold all their rows and use `header.addRows` instead.
      * @param {number=} count - The number of rows to add
      * @returns {number}
      */
     addRows(count = 1) {
+        const rowCount = this.mHeader.rowCount + count;
+        if (this.mHeader.layout === Header.memoryLayout.RELATIONAL && rowCount > this.mHeader.rowCapacity) {
+            this._grow(rowCount);
+        }
         return this.mHeader.addRows(count);
     }
 
@@ -144,6 +164,140 @@ export class Table {
         return this.mHeader.setRowCount(count);
     }
 
+    /**
+     * Creates a copy of this table, and its data, in a new memory block allocated from the specified heap. Useful to
+     * move tables between heaps. RELATIONAL tables are copied without their unused capacity, COLUMNAR tables are
+     * copied with their whole memory block.
+     * @param {Heap|SegmentedHeap|Arena=} heap - The heap where the copy will be allocated, defaults to the heap where this
+     * table is allocated.
+     * @return {Table}
+     */
+    clone(heap = this.mMemory.heap) {
+        if (this.mHeader.layout !== Header.memoryLayout.RELATIONAL) {
+            const memory = heap.malloc(this.mMemory.size, { label: this.mMemory.label });
+            Heap.copy(memory, 0, this.mMemory, 0, this.mMemory.size);
+            return new Table(memory);
+        }
+
+        // the string pool, if any, is copied right after the rows
+        const size = this.mHeader.length + this.mHeader.dataLength;
+        const stringPoolOffset = this.mHeader.stringPoolOffset;
+        const stringPoolLength = this.mHeader.stringPoolLength;
+        const memory = heap.malloc(size + stringPoolLength, { label: this.mMemory.label });
+        Heap.copy(memory, 0, this.mMemory, 0, size);
+        const table = new Table(memory);
+        if (stringPoolOffset) {
+            Heap.copy(memory, size, this.mMemory, stringPoolOffset, stringPoolLength);
+            table.header.setStringPoolOffset(size);
+        }
+        return table;
+    }
+
+    /**
+     * Moves the string pool of this table, if it has one, right after the rows of the table and returns the number of
+     * bytes, from the beginning of the memory block, the table is using. Useful to shrink the memory block of RELATIONAL
+     * tables once all their rows have been written, COLUMNAR tables are not modified.
+     * @return {number}
+     */
+    pack() {
+        const stringPoolOffset = this.mHeader.stringPoolOffset;
+        if (this.mHeader.layout !== Header.memoryLayout.RELATIONAL) {
+            return stringPoolOffset ? stringPoolOffset + this.mHeader.stringPoolLength : this.mMemory.size;
+        }
+
+        const size = this.mHeader.length + this.mHeader.dataLength;
+        if (!stringPoolOffset) {
+            return size;
+        }
+
+        const stringPoolLength = this.mHeader.stringPoolLength;
+        Heap.move(this.mMemory, size, this.mMemory, stringPoolOffset, stringPoolLength);
+        this.mHeader.setStringPoolOffset(size);
+        return size + stringPoolLength;
+    }
+
+    /**
+     * Grows the memory block containing this table so it can hold, at least, the specified number of rows. The memory
+     * is doubled when possible to reduce the number of times it needs to grow.
+     * @param {number} rowCount - The minimum number of rows the table must be able to hold.
+     * @private
+     */
+    _grow(rowCount) {
+        const stringPoolOffset = this.mHeader.stringPoolOffset;
+        const stringPoolSize = stringPoolOffset ? this.mMemory.size - stringPoolOffset : 0;
+        const requiredSize = this.mHeader.length + rowCount * this.mHeader.rowStep + stringPoolSize;
+        this._realloc(requiredSize, Math.max(requiredSize, this.mMemory.size * 2));
+
+        // keep the string pool at the end of the memory block, the new memory goes to the rows
+        if (stringPoolOffset) {
+            const newStringPoolOffset = this.mMemory.size - stringPoolSize;
+            Heap.move(this.mMemory, newStringPoolOffset, this.mMemory, stringPoolOffset, this.mHeader.stringPoolLength);
+            this.mHeader.setStringPoolOffset(newStringPoolOffset);
+        }
+    }
+
+    /**
+     * Reallocates the memory block containing this table to `preferredSize` or, if the heap does not have enough memory
+     * for it, to `requiredSize`. Errors other than running out of memory are not retried.
+     * @param {number} requiredSize - The minimum size, in bytes, of the memory block.
+     * @param {number} preferredSize - The size, in bytes, the memory block should have.
+     * @private
+     */
+    _realloc(requiredSize, preferredSize) {
+        const heap = this.mMemory.heap;
+        try {
+            heap.realloc(this.mMemory, preferredSize);
+        } catch (e) {
+            if (!(e instanceof KrudaOutOfMemoryError)) {
+                throw e;
+            }
+            heap.realloc(this.mMemory, requiredSize);
+        }
+    }
+
+    /**
+     * Reads a string from the string pool of this table.
+     * @param {number} offset - The offset, in bytes, of the string within the string pool.
+     * @param {number} length - The length, in bytes, of the string.
+     * @return {string}
+     * @private
+     */
+    _readString(offset, length) {
+        if (!length) {
+            return '';
+        }
+        const address = this.mMemory.address + this.mHeader.stringPoolOffset + offset;
+        return Text.decode(new Uint8Array(this.mMemory.buffer, address, length));
+    }
+
+    /**
+     * Copies a string to the string pool of this table and returns its offset within the pool. The memory block is
+     * grown, using `Heap.realloc`, when the string does not fit in the pool.
+     * WARNING: Growing the memory block can move the table in memory, tables being written from multiple threads should
+     * have a string pool big enough to hold all their strings.
+     * @param {string} str - The string to copy.
+     * @param {number} length - The length, in bytes, of the string, as returned by `Text.byteLength`.
+     * @return {number}
+     * @private
+     */
+    _writeString(str, length) {
+        const stringPoolOffset = this.mHeader.stringPoolOffset || this.mMemory.size;
+
+        // the memory is grown before the bytes are reserved so a failed grow leaves the string pool untouched
+        const requiredSize = stringPoolOffset + this.mHeader.stringPoolLength + length;
+        if (requiredSize > this.mMemory.size) {
+            this._realloc(requiredSize, stringPoolOffset + (requiredSize - stringPoolOffset) * 2);
+        }
+
+        if (!this.mHeader.stringPoolOffset) {
+            this.mHeader.setStringPoolOffset(stringPoolOffset);
+        }
+        const offset = this.mHeader.addStringPoolBytes(length);
+
+        Text.encode(str, new Uint8Array(this.mMemory.buffer, this.mMemory.address + stringPoolOffset + offset, length));
+        return offset;
+    }
+
     /**
      * Gets a new Row instance pointing at the row at the specified index.
      * NOTE: The returned row can be moved to point to a different row by changing its `index` property.
@@ -155,8 +309,8 @@ export class Table {
         /// #if !_DEBUG
         /*
         /// #endif
-        if (!index >= this.rowCount) {
-            throw 'ERROR: Index out of bounds!';
+        if (index < 0 || index >= this.rowCount) {
+            throw new KrudaBoundsError('Index out of bounds', index, this.rowCount);
         }
         /// #if !_DEBUG
          */
@@ -167,8 +321,9 @@ export class Table {
 
     /**
      * Gets a new Row instance pointing at the row at the specified index. The resulting row will return
-     * {@link ByteString} instances for the column fields which are strings. ByteStrings are faster to work with but are
-     * not replacements for JavaScript strings.
+     * {@link ByteString} instances for the column fields which are strings, and the codes of the column fields which are
+     * categories, `Text` fields are still returned as JavaScript strings. ByteStrings are faster to work with but are not
+     * replacements for JavaScript strings.
      * NOTE: The returned row can be moved to point to a different row by changing its `index` property.
      * @param {number} index - The index of the row to get the data from.
      * @param {Row=} row - An optional row, belonging to this table, to reuse. Useful to reduce garbage collection.
@@ -178,8 +333,8 @@ export class Table {
         /// #if !_DEBUG
         /*
         /// #endif
-        if (!index >= this.rowCount) {
-            throw 'ERROR: Index out of bounds!';
+        if (index < 0 || index >= this.rowCount) {
+            throw new KrudaBoundsError('Index out of bounds', index, this.rowCount);
         }
         /// #if !_DEBUG
          */
@@ -22,6 +22,8 @@
  */
 import {Type} from '../../core/Types';
 import {Pointer} from '../../core/Pointer';
+import {KrudaNotImplementedError} from '../../core/Errors';
+import {KrudaBoundsError, KrudaMemoryError, KrudaTypeError} from '../../core/Errors'; // eslint-disable-line no-unused-vars
 
 /**
  * Constant variable, represents the character code of the uppercase letter `A`, used to convert string to lower case.
@@ -37,8 +39,74 @@ const kCodeA = ('A').charCodeAt(0);
  */
 const kCodeZ = ('Z').charCodeAt(0);
 
+/**
+ * The maximum number of bytes a byte string can hold, the first byte of a byte string holds its length.
+ * @type {number}
+ * @private
+ */
+const kMaxByteLength = 255;
+
+/**
+ * Encoder used to convert JS strings to UTF-8.
+ * @type {TextEncoder}
+ * @private
+ */
+const kEncoder = new TextEncoder();
+
+/**
+ * Decoder used to convert UTF-8 to JS strings.
+ * @type {TextDecoder}
+ * @private
+ */
+const kDecoder = new TextDecoder();
+
+/**
+ * Converts a string to UTF-8, truncating it, without splitting any of its characters, when it does not fit in the
+ * specified number of bytes.
+ * @param {string} str - The string to encode.
+ * @param {number} maxByteLength - The maximum number of bytes to return.
+ * @return {Uint8Array}
+ * @private
+ */
+function encodeUTF8(str, maxByteLength) {
+    const bytes = kEncoder.encode(str);
+    if (bytes.length <= maxByteLength) {
+        return bytes;
+    }
+
+    // continuation bytes are 0b10xxxxxx, the first byte left out must not be one of them
+    let end = maxByteLength;
+    while (end > 0 && (bytes[end] & 0xC0) === 0x80) {
+        --end;
+    }
+    return bytes.subarray(0, end);
+}
+
+/**
+ * Converts UTF-8 to a JS string. `TextDecoder` does not accept views of shared memory, those are copied first.
+ * @param {Uint8Array} bytes - The bytes to decode.
+ * @return {string}
+ * @private
+ */
+function decodeUTF8(bytes) {
+    return kDecoder.decode(bytes.buffer instanceof ArrayBuffer ? bytes : bytes.slice());
+}
+
+/**
+ * Folds the case of a string so it can be compared ignoring case. Upper casing first folds characters whose upper case
+ * expands into several characters, like `ß` to `SS`.
+ * @param {string} str - The string to fold.
+ * @return {string}
+ * @private
+ */
+function foldCase(str) {
+    return str.toUpperCase().toLowerCase();
+}
+
 /**
  * Base class for all byte string classes. Cannot be used directly.
+ * Byte strings store their characters as UTF-8, their `byteLength` is the number of bytes used by the characters while
+ * their `length`, as in JS strings, is the number of UTF-16 code units of the string.
  * Constructs a ByteString instance of the given size.
  * @class ByteStringBase
  * @param {number} size - The maximum size of this string.
@@ -48,11 +116,11 @@ class ByteStringBase {
         /// #if !_DEBUG
         /*
         /// #endif
-        if (size > 255) {
-            throw 'ERROR: ByteString instances can hold a maximum of 255 characters (+1 byte to hold their length)';
+        if (size > kMaxByteLength + 1) {
+            throw new KrudaBoundsError('ByteString instances can hold a maximum of 255 bytes (+1 byte to hold their length)', size, 256);
         }
         if (size % 4) {
-            throw 'ERROR: ByteString size must be a multiple of 4';
+            throw new KrudaMemoryError('ByteString size must be a multiple of 4');
         }
         /// #if !_DEBUG
          */
@@ -72,21 +140,38 @@ class ByteStringBase {
      * @type {ArrayBufferLike}
      */
     get buffer() {
-        throw 'Not implemented';
+        throw new KrudaNotImplementedError();
     }
 
     /**
+     * The number of bytes used by the characters of this string.
+     * @type {number}
+     */
+    get byteLength() {
+        throw new KrudaNotImplementedError();
+    }
+
+    /**
+     * The number of UTF-16 code units in this string, the same as the length of the JS string returned by `toString`.
      * @type {number}
      */
     get length() {
-        throw 'Not implemented';
+        let length = 0;
+        for (let i = 0, n = this.byteLength; i < n; ++i) {
+            const byte = this.byteAt(i);
+            // continuation bytes do not start a character, four byte characters need a surrogate pair
+            if ((byte & 0xC0) !== 0x80) {
+                length += byte >= 0xF0 ? 2 : 1;
+            }
+        }
+        return length;
     }
 
     /**
      * @type {number}
      */
     get address() {
-        throw 'Not implemented';
+        throw new KrudaNotImplementedError();
     }
 
     /**
@@ -94,8 +179,7 @@ class ByteStringBase {
      * @return {string}
      */
     toString() {
-        const arr = new Uint8Array(this.buffer, this.address + 1, this.length);
-        return String.fromCharCode(...arr);
+        return decodeUTF8(new Uint8Array(this.buffer, this.address + 1, this.byteLength));
     }
 
     /**
@@ -104,12 +188,12 @@ class ByteStringBase {
      * @return {boolean}
      */
     equals(other) {
-        if (other.length !== this.length) {
+        if (other.byteLength !== this.byteLength) {
             return false;
         }
 
-        for (let i = 0, n = this.length; i < n; ++i) {
-            if (other.charCodeAt(i) !== this.charCodeAt(i)) {
+        for (let i = 0, n = this.byteLength; i < n; ++i) {
+            if (other.byteAt(i) !== this.byteAt(i)) {
                 return false;
             }
         }
@@ -118,17 +202,22 @@ class ByteStringBase {
     }
 
     /**
-     * Checks if two byte strings are equal. Case insensitive.
+     * Checks if two byte strings are equal. Case insensitive, strings with non ASCII characters are compared using
+     * Unicode case folding.
      * @param {ByteStringBase} other - The string to test against.
      * @return {boolean}
      */
     equalsCase(other) {
-        if (other.length !== this.length) {
+        if (!this._isASCII() || !other._isASCII()) {
+            return foldCase(this.toString()) === foldCase(other.toString());
+        }
+
+        if (other.byteLength !== this.byteLength) {
             return false;
         }
 
-        for (let i = 0, n = this.length; i < n; ++i) {
-            if (this._toLower(other.charCodeAt(i)) !== this._toLower(this.charCodeAt(i))) {
+        for (let i = 0, n = this.byteLength; i < n; ++i) {
+            if (this._toLower(other.byteAt(i)) !== this._toLower(this.byteAt(i))) {
                 return false;
             }
         }
@@ -142,12 +231,13 @@ class ByteStringBase {
      * @return {boolean}
      */
     contains(other) {
-        const nn = other.length;
-        for (let i = 0, n = 1 + this.length - nn; i < n; ++i) {
-            if (this.charCodeAt(i) === other.charCodeAt(0)) {
+        // a UTF-8 sequence can only match at the beginning of a character, comparing bytes is enough
+        const nn = other.byteLength;
+        for (let i = 0, n = 1 + this.byteLength - nn; i < n; ++i) {
+            if (this.byteAt(i) === other.byteAt(0)) {
                 let ii;
                 for (ii = 1; ii < nn; ++ii) {
-                    if (this.charCodeAt(i + ii) !== other.charCodeAt(ii)) {
+                    if (this.byteAt(i + ii) !== other.byteAt(ii)) {
                         break;
                     }
                 }
@@ -160,17 +250,22 @@ class ByteStringBase {
     }
 
     /**
-     * Checks if this byte strings contains another string. Case insensitive.
+     * Checks if this byte strings contains another string. Case insensitive, strings with non ASCII characters are
+     * compared using Unicode case folding.
      * @param {ByteStringBase} other - The string to test against.
      * @return {boolean}
      */
     containsCase(other) {
-        const nn = other.length;
-        for (let i = 0, n = 1 + this.length - nn; i < n; ++i) {
-            if (this._toLower(this.charCodeAt(i)) === this._toLower(other.charCodeAt(0))) {
+        if (!this._isASCII() || !other._isASCII()) {
+            return foldCase(this.toString()).indexOf(foldCase(other.toString())) !== -1;
+        }
+
+        const nn = other.byteLength;
+        for (let i = 0, n = 1 + this.byteLength - nn; i < n; ++i) {
+            if (this._toLower(this.byteAt(i)) === this._toLower(other.byteAt(0))) {
                 let ii;
                 for (ii = 1; ii < nn; ++ii) {
-                    if (this._toLower(this.charCodeAt(i + ii)) !== this._toLower(other.charCodeAt(ii))) {
+                    if (this._toLower(this.byteAt(i + ii)) !== this._toLower(other.byteAt(ii))) {
                         break;
                     }
                 }
@@ -184,15 +279,39 @@ class ByteStringBase {
 
     /* eslint-disable */
     /**
-     * Fetches the character code at the specified index.
-     * @param {number} index - The index of the character to fetch.
+     * Fetches the byte at the specified index.
+     * @param {number} index - The index of the byte to fetch.
      * @return {number}
      */
-    charCodeAt(index) {
-        throw 'Not implemented';
+    byteAt(index) {
+        throw new KrudaNotImplementedError();
     }
     /* eslint-enable */
 
+    /**
+     * Fetches the UTF-16 code unit at the specified index, as `String.prototype.charCodeAt` does.
+     * NOTE: The string is decoded on every call, use `byteAt` to read the UTF-8 bytes of the string.
+     * @param {number} index - The index of the code unit to fetch.
+     * @return {number}
+     */
+    charCodeAt(index) {
+        return this.toString().charCodeAt(index);
+    }
+
+    /**
+     * Checks if all the characters in this string are ASCII, in which case every character is a single byte.
+     * @return {boolean}
+     * @private
+     */
+    _isASCII() {
+        for (let i = 0, n = this.byteLength; i < n; ++i) {
+            if (this.byteAt(i) & 0x80) {
+                return false;
+            }
+        }
+        return true;
+    }
+
     /**
      * Converts the given character code to its lowercase code.
      * @param {number} c - The character code to convert.
@@ -223,7 +342,7 @@ class ByteStringPtr extends ByteStringBase {
     /**
      * @type {number}
      */
-    get length() {
+    get byteLength() {
         return this.mPointer.getUint8(this.mOffset);
     }
 
@@ -242,11 +361,11 @@ class ByteStringPtr extends ByteStringBase {
     }
 
     /**
-     * Fetches the character code at the specified index.
-     * @param {number} index - The index of the character to fetch.
+     * Fetches the byte at the specified index.
+     * @param {number} index - The index of the byte to fetch.
      * @return {number}
      */
-    charCodeAt(index) {
+    byteAt(index) {
         return this.mPointer.getUint8(this.mOffset + index + 1);
     }
 }
@@ -254,6 +373,8 @@ class ByteStringPtr extends ByteStringBase {
 /**
  * ByteString implementation using ArrayBuffers. This implementation is useful for quick off-heap strings. It also
  * guarantees that it will not change its contents without implicit user interaction.
+ * Strings in heap memory created with `ByteString.fromMemoryBlock` follow their memory block when the heap moves it,
+ * other strings keep pointing at the same address of their buffer.
  * Constructs a byte string backed by an ArrayBuffer.
  * @class ByteStringBuffer
  * @param {ArrayBufferLike} buffer - The ArrayBuffer object where this string resides.
@@ -268,6 +389,19 @@ class ByteStringBuffer extends ByteStringBase {
         this.mView = new DataView(buffer, this.mAddress, this.mSize);
     }
 
+    /**
+     * Moves this string along with the specified memory block every time the heap relocates it.
+     * @param {MemoryBlock} memory - The memory block containing this string.
+     * @private
+     */
+    _followMemoryBlock(memory) {
+        memory.addRelocationListener((block, oldAddress) => {
+            this.mBuffer = block.buffer;
+            this.mAddress += block.address - oldAddress;
+            this.mView = new DataView(this.mBuffer, this.mAddress, this.mSize);
+        });
+    }
+
     /**
      * @type {ArrayBufferLike}
      */
@@ -278,7 +412,7 @@ class ByteStringBuffer extends ByteStringBase {
     /**
      * @type {number}
      */
-    get length() {
+    get byteLength() {
         return this.mView.getUint8(0);
     }
 
@@ -290,11 +424,11 @@ class ByteStringBuffer extends ByteStringBase {
     }
 
     /**
-     * Fetches the character code at the specified index.
-     * @param {number} index - The index of the character to fetch.
+     * Fetches the byte at the specified index.
+     * @param {number} index - The index of the byte to fetch.
      * @return {number}
      */
-    charCodeAt(index) {
+    byteAt(index) {
         return this.mView.getUint8(index + 1);
     }
 }
@@ -305,7 +439,7 @@ class ByteStringBuffer extends ByteStringBase {
  */
 class _ByteString extends Type {
     constructor() {
-        super('ByteString', 255, 2048);
+        super('ByteString', 255, 2048, 1);
     }
 
     get(view, offset) {
@@ -318,15 +452,86 @@ class _ByteString extends Type {
         /*
         /// #endif
         if (!(value instanceof ByteStringBase) && typeof value !== 'string' && !(value instanceof String)) {
-            throw `ERROR: Cannot set the value of ByteStringType to an instance of ${typeof value}`;
+            throw new KrudaTypeError(`Cannot set the value of ByteStringType to an instance of ${typeof value}`);
         }
         /// #if !_DEBUG
          */
         /// #endif
-        view.setUint8(offset, Math.min(value.length, 255));
-        for (let i = 0; i < 255 && i < value.length; ++i) {
-            view.setUint8(offset + i + 1, value.charCodeAt(i));
+        if (value instanceof ByteStringBase) {
+            const length = value.byteLength;
+            view.setUint8(offset, length);
+            for (let i = 0; i < length; ++i) {
+                view.setUint8(offset + i + 1, value.byteAt(i));
+            }
+        } else {
+            const bytes = encodeUTF8(value.toString(), kMaxByteLength);
+            view.setUint8(offset, bytes.length);
+            for (let i = 0, n = bytes.length; i < n; ++i) {
+                view.setUint8(offset + i + 1, bytes[i]);
+            }
+        }
+    }
+
+    /**
+     * Returns the number of bytes needed to store the specified string as UTF-8, without the byte holding its length.
+     * @param {string|ByteStringBase} str - The string to measure.
+     * @return {number}
+     * @memberof ByteString
+     */
+    byteLength(str) {
+        if (str instanceof ByteStringBase) {
+            return str.byteLength;
+        }
+
+        let length = 0;
+        for (let i = 0, n = str.length; i < n; ++i) {
+            const code = str.charCodeAt(i);
+            if (code < 0x80) {
+                length += 1;
+            } else if (code < 0x800) {
+                length += 2;
+            } else if (code >= 0xD800 && code < 0xDC00 && i + 1 < n && (str.charCodeAt(i + 1) & 0xFC00) === 0xDC00) {
+                // surrogate pairs encode a single four byte character
+                length += 4;
+                ++i;
+            } else {
+                length += 3;
+            }
         }
+        return length;
+    }
+
+    /**
+     * Converts a JS string to UTF-8. Strings that do not fit in `maxByteLength` bytes are truncated without splitting
+     * any of their characters.
+     * @param {string} str - The string to encode.
+     * @param {number=} maxByteLength - The maximum number of bytes to return. Defaults to no limit.
+     * @return {Uint8Array}
+     * @memberof ByteString
+     */
+    encode(str, maxByteLength = Infinity) {
+        return encodeUTF8(str, maxByteLength);
+    }
+
+    /**
+     * Folds the case of a JS string so it can be compared to other folded strings ignoring case, the same way
+     * `equalsCase` and `containsCase` compare byte strings.
+     * @param {string} str - The string to fold.
+     * @return {string}
+     * @memberof ByteString
+     */
+    foldCase(str) {
+        return foldCase(str);
+    }
+
+    /**
+     * Converts UTF-8 bytes to a JS string.
+     * @param {Uint8Array} bytes - The bytes to decode.
+     * @return {string}
+     * @memberof ByteString
+     */
+    decode(bytes) {
+        return decodeUTF8(bytes);
     }
 
     /**
@@ -372,19 +577,32 @@ class _ByteString extends Type {
     }
 
     /**
-     * Creates a byte string from a JS string.
+     * Creates a ByteString instance from a memory block. Unlike strings created with `fromBuffer`, the string keeps
+     * pointing at the same data when the heap moves the memory block, for example when the heap is compacted.
+     * @param {MemoryBlock} memory - The memory block where this string resides.
+     * @param {number=} offset - The offset, in bytes, within the memory block where the string resides. Defaults to 0.
+     * @param {number=} size - The maximum size of this string in bytes. Defaults to 255.
+     * @return {ByteStringBuffer}
+     * @memberof ByteString
+     */
+    fromMemoryBlock(memory, offset = 0, size = 255) {
+        const string = new ByteStringBuffer(memory.buffer, memory.address + offset, size);
+        string._followMemoryBlock(memory);
+        return string;
+    }
+
+    /**
+     * Creates a byte string from a JS string. Strings longer than 255 bytes, once encoded as UTF-8, are truncated.
      * @param {string} str - The string to copy during creation.
      * @return {ByteStringBuffer}
      * @memberof ByteString
      */
     fromString(str) {
-        const length = Math.min(str.length, 255);
-        const size = (length + 4) & ~0x03;
+        const bytes = encodeUTF8(str.toString(), kMaxByteLength);
+        const size = (bytes.length + 4) & ~0x03;
         const view = new Uint8Array(size);
-        view[0] = length;
-        for (let i = 0; i < length; ++i) {
-            view[i + 1] = str.charCodeAt(i);
-        }
+        view[0] = bytes.length;
+        view.set(bytes, 1);
         return new ByteStringBuffer(view.buffer, 0, view.length);
     }
 }
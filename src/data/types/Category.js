@@ -0,0 +1,96 @@
+/*
+ * Copyright (c) 2019 Uncharted Software Inc.
+ * http://www.uncharted.software/
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+import {Type} from '../../core/Types';
+import {KrudaTypeError} from '../../core/Errors';
+
+/**
+ * The maximum number of entries in a dictionary that can be indexed with 16 bit codes.
+ * @type {number}
+ * @private
+ */
+const kMaxShortCodeCount = 0x10000;
+
+/**
+ * Category type, used for dictionary encoded string columns. Each row stores a code indexing into a dictionary of
+ * UTF-8 strings, of up to 255 bytes each, kept in the table's header. Codes are 16 bit for dictionaries of up to 65536
+ * entries and 32 bit otherwise.
+ * Values can only be read and written through table rows, which translate codes to strings and vice versa.
+ * @extends Type
+ */
+class _Category extends Type {
+    constructor() {
+        super('Category', 4, 32, 2);
+    }
+
+    get() {
+        throw new KrudaTypeError('Category values can only be read through table rows');
+    }
+
+    set() {
+        throw new KrudaTypeError('Category values can only be written through table rows');
+    }
+
+    /**
+     * Returns the size, in bytes, of the codes used by a category column with the specified number of entries in its
+     * dictionary.
+     * @param {number} count - The number of entries in the dictionary.
+     * @return {number}
+     * @memberof Category
+     */
+    codeSize(count) {
+        return count > kMaxShortCodeCount ? 4 : 2;
+    }
+
+    /**
+     * Reads a category code.
+     * @param {DataView} view - The view to read the code from.
+     * @param {number} offset - The offset, in bytes, of the code within the view.
+     * @param {number} size - The size of the code, as returned by `codeSize`.
+     * @return {number}
+     * @memberof Category
+     */
+    getCode(view, offset, size) {
+        return size === 2 ? view.getUint16(offset, true) : view.getUint32(offset, true);
+    }
+
+    /**
+     * Writes a category code.
+     * @param {DataView} view - The view to write the code to.
+     * @param {number} offset - The offset, in bytes, of the code within the view.
+     * @param {number} size - The size of the code, as returned by `codeSize`.
+     * @param {number} code - The code to write.
+     * @memberof Category
+     */
+    setCode(view, offset, size, code) {
+        if (size === 2) {
+            view.setUint16(offset, code, true);
+        } else {
+            view.setUint32(offset, code, true);
+        }
+    }
+}
+
+/**
+ * @type {_Category}
+ */
+export const Category = new _Category();
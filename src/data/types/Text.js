@@ -0,0 +1,81 @@
+/*
+ * Copyright (c) 2019 Uncharted Software Inc.
+ * http://www.uncharted.software/
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+import {Type} from '../../core/Types';
+import {ByteString} from './ByteString';
+import {KrudaTypeError} from '../../core/Errors';
+
+/**
+ * Text type, used for string columns without a length limit. Each row stores the offset and length, in bytes, of its
+ * string within the string pool of the table, the pool lives at the end of the table's memory block. Strings are stored
+ * as UTF-8, like byte strings.
+ * Values can only be read and written through table rows, which copy the strings in and out of the pool.
+ * @extends Type
+ */
+class _Text extends Type {
+    constructor() {
+        super('Text', 8, 64, 4);
+    }
+
+    get() {
+        throw new KrudaTypeError('Text values can only be read through table rows');
+    }
+
+    set() {
+        throw new KrudaTypeError('Text values can only be written through table rows');
+    }
+
+    /**
+     * Returns the number of bytes needed to store the specified string.
+     * @param {string} str - The string to measure.
+     * @return {number}
+     * @memberof Text
+     */
+    byteLength(str) {
+        return ByteString.byteLength(str);
+    }
+
+    /**
+     * Writes the bytes of the specified string.
+     * @param {string} str - The string to write.
+     * @param {Uint8Array} bytes - The bytes to write the string to, must be at least `byteLength(str)` long.
+     * @memberof Text
+     */
+    encode(str, bytes) {
+        bytes.set(ByteString.encode(str));
+    }
+
+    /**
+     * Creates a JS string from the specified bytes.
+     * @param {Uint8Array} bytes - The bytes of the string.
+     * @return {string}
+     * @memberof Text
+     */
+    decode(bytes) {
+        return ByteString.decode(bytes);
+    }
+}
+
+/**
+ * @type {_Text}
+ */
+export const Text = new _Text();
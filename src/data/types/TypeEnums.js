@@ -1,5 +1,9 @@
 import {ByteString} from './ByteString';
-import {Float32, Int16, Int32, Int8, Uint16, Uint32, Uint8, Void} from '../../core/Types';
+import {Category} from './Category';
+import {Text} from './Text';
+import {Bool, Float32, Float64, Int16, Int32, Int64, Int8, Timestamp, Type, Uint16, Uint32, Uint64, Uint8, Void, array, decimal} from '../../core/Types';
+import {KrudaSchemaError} from '../../core/Errors';
+import {KrudaTypeError} from '../../core/Errors'; // eslint-disable-line no-unused-vars
 import {
     I16Vec2,
     I16Vec3,
@@ -15,6 +19,7 @@ import {
     U8Vec3,
     Vec2,
     Vec3,
+    Vec4,
 } from './Vectors';
 
 /**
@@ -45,6 +50,16 @@ export const kBinaryTypes = [
     I8Vec3,
     ByteString,
     Void,
+    Float64,
+    Int64,
+    Uint64,
+    Bool,
+    Timestamp,
+    Category,
+    Text,
+    Vec4,
+    decimal(0),
+    decimal(0, Int32),
 ];
 
 /**
@@ -52,3 +67,69 @@ export const kBinaryTypes = [
  * @type {Map<Type, number>}
  */
 export const kBinaryTypeMap = new Map(kBinaryTypes.map((value, i) => [value, i]));
+
+/**
+ * Array and decimal types are not added to `kBinaryTypes`, their binary index keeps the binary index of a base type in
+ * its lower 16 bits and a parameter in its upper 16 bits so any thread can rebuild the type from a table header. The
+ * base type of arrays is their component type and their parameter their length, the base type of decimals is the
+ * decimal type with scale 0 and the same storage and their parameter their scale.
+ * @type {number}
+ * @private
+ */
+const kParameterShift = 16;
+
+/**
+ * Registers a type, such as a struct type, so it can be used in table columns. Types are assigned the next available
+ * binary index, registering an already registered type returns its current index.
+ * NOTE: Binary indices are stored in table headers, threads sharing tables must register the same types in the same
+ * order. Array and decimal types are the exception, their binary index is derived from their parameters.
+ * @param {Type} type - The type to register.
+ * @return {number} - The binary index of the type.
+ */
+export function registerBinaryType(type) {
+    if (Type.isArray(type) && !kBinaryTypeMap.has(type)) {
+        /// #if !_DEBUG
+        /*
+        /// #endif
+        if (type.length >= 1 << kParameterShift) {
+            throw new KrudaTypeError(`Array types used in tables can have at most ${(1 << kParameterShift) - 1} components (${type.name})`);
+        }
+        /// #if !_DEBUG
+         */
+        /// #endif
+        kBinaryTypeMap.set(type, (type.length << kParameterShift | registerBinaryType(type.elementType)) >>> 0);
+    }
+
+    if (Type.isDecimal(type) && !kBinaryTypeMap.has(type)) {
+        kBinaryTypeMap.set(type, type.scale << kParameterShift | kBinaryTypeMap.get(decimal(0, type.storageType)));
+    }
+
+    if (!kBinaryTypeMap.has(type)) {
+        kBinaryTypeMap.set(type, kBinaryTypes.length);
+        kBinaryTypes.push(type);
+    }
+    return kBinaryTypeMap.get(type);
+}
+
+/**
+ * Returns the type with the specified binary index, array and decimal types are created if they do not exist yet.
+ * Throws a `KrudaSchemaError` for indices of types not registered in the calling thread, such as struct types
+ * registered in a different thread.
+ * @param {number} index - The binary index of the type.
+ * @return {Type}
+ */
+export function binaryTypeFromIndex(index) {
+    if (index < kBinaryTypes.length) {
+        return kBinaryTypes[index];
+    }
+
+    const base = kBinaryTypes[index & ((1 << kParameterShift) - 1)];
+    const parameter = index >>> kParameterShift;
+    if (!base || !parameter) {
+        throw new KrudaSchemaError(`Unknown binary type index (${index}), struct types must be registered in every thread using them`);
+    }
+    if (Type.isDecimal(base)) {
+        return decimal(parameter, base.storageType);
+    }
+    return array(base, parameter);
+}
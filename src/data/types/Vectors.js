@@ -1,4 +1,6 @@
-import {Float32, Int16, Int32, Int8, Type, Uint16, Uint32, Uint8} from '../../core/Types';
+import {Float32, Int16, Int32, Int8, Type, Uint16, Uint32, Uint8, array} from '../../core/Types';
+import {KrudaNotImplementedError} from '../../core/Errors';
+import {KrudaBoundsError, KrudaTypeError} from '../../core/Errors'; // eslint-disable-line no-unused-vars
 
 /**
  * Base class for all vector classes that implements the convenience functions of the class. Cannot be used directly.
@@ -61,7 +63,7 @@ class VectorBase {
         /*
         /// #endif
         if (this.mLength < 3) {
-            throw `ERROR: Cannot get Z property of a vector with less than 3 components`;
+            throw new KrudaBoundsError('Cannot get Z property of a vector with less than 3 components', 2, this.mLength);
         }
         /// #if !_DEBUG
          */
@@ -73,7 +75,7 @@ class VectorBase {
         /*
         /// #endif
         if (this.mLength < 3) {
-            throw `ERROR: Cannot set Z property of a vector with less than 3 components`;
+            throw new KrudaBoundsError('Cannot set Z property of a vector with less than 3 components', 2, this.mLength);
         }
         /// #if !_DEBUG
          */
@@ -90,7 +92,7 @@ class VectorBase {
         /*
         /// #endif
         if (this.mLength < 4) {
-            throw `ERROR: Cannot get W property of a vector with less than 4 components`;
+            throw new KrudaBoundsError('Cannot get W property of a vector with less than 4 components', 3, this.mLength);
         }
         /// #if !_DEBUG
          */
@@ -102,7 +104,7 @@ class VectorBase {
         /*
         /// #endif
         if (this.mLength < 4) {
-            throw `ERROR: Cannot set W property of a vector with less than 4 components`;
+            throw new KrudaBoundsError('Cannot set W property of a vector with less than 4 components', 3, this.mLength);
         }
         /// #if !_DEBUG
          */
@@ -141,7 +143,7 @@ class VectorBase {
         /*
         /// #endif
         if (this.mLength < 3) {
-            throw `ERROR: Cannot get B property of a vector with less than 3 components`;
+            throw new KrudaBoundsError('Cannot get B property of a vector with less than 3 components', 2, this.mLength);
         }
         /// #if !_DEBUG
          */
@@ -153,7 +155,7 @@ class VectorBase {
         /*
         /// #endif
         if (this.mLength < 3) {
-            throw `ERROR: Cannot set B property of a vector with less than 3 components`;
+            throw new KrudaBoundsError('Cannot set B property of a vector with less than 3 components', 2, this.mLength);
         }
         /// #if !_DEBUG
          */
@@ -170,7 +172,7 @@ class VectorBase {
         /*
         /// #endif
         if (this.mLength < 4) {
-            throw `ERROR: Cannot get A property of a vector with less than 4 components`;
+            throw new KrudaBoundsError('Cannot get A property of a vector with less than 4 components', 3, this.mLength);
         }
         /// #if !_DEBUG
          */
@@ -182,7 +184,7 @@ class VectorBase {
         /*
         /// #endif
         if (this.mLength < 4) {
-            throw `ERROR: Cannot set A property of a vector with less than 4 components`;
+            throw new KrudaBoundsError('Cannot set A property of a vector with less than 4 components', 3, this.mLength);
         }
         /// #if !_DEBUG
          */
@@ -196,7 +198,7 @@ class VectorBase {
      * @return {number}
      */ // eslint-disable-line valid-jsdoc
     getComponentAt(index) { // eslint-disable-line no-unused-vars
-        throw 'Not implemented';
+        throw new KrudaNotImplementedError();
     }
 
     /**
@@ -205,7 +207,7 @@ class VectorBase {
      * @param {number} value - The value to set.
      */
     setComponentAt(index, value) { // eslint-disable-line no-unused-vars
-        throw 'Not implemented';
+        throw new KrudaNotImplementedError();
     }
 
     /**
@@ -275,7 +277,7 @@ class VectorBuffer extends VectorBase {
         /*
         /// #endif
         if (this.mLength < index) {
-            throw `ERROR: Component index out of bounds`;
+            throw new KrudaBoundsError('Component index out of bounds', index, this.mLength);
         }
         /// #if !_DEBUG
          */
@@ -293,7 +295,7 @@ class VectorBuffer extends VectorBase {
         /*
         /// #endif
         if (this.mLength < index) {
-            throw `ERROR: Component index out of bounds`;
+            throw new KrudaBoundsError('Component index out of bounds', index, this.mLength);
         }
         /// #if !_DEBUG
          */
@@ -328,7 +330,7 @@ class VectorPtr extends VectorBase {
         /*
         /// #endif
         if (this.mLength < index) {
-            throw `ERROR: Component index out of bounds`;
+            throw new KrudaBoundsError('Component index out of bounds', index, this.mLength);
         }
         /// #if !_DEBUG
          */
@@ -346,7 +348,7 @@ class VectorPtr extends VectorBase {
         /*
         /// #endif
         if (this.mLength < index) {
-            throw `ERROR: Component index out of bounds`;
+            throw new KrudaBoundsError('Component index out of bounds', index, this.mLength);
         }
         /// #if !_DEBUG
          */
@@ -364,7 +366,7 @@ class VectorPtr extends VectorBase {
  */
 class Vector extends Type {
     constructor(name, components, type) {
-        super(name, type.byteSize * components, type.bitSize * components);
+        super(name, type.byteSize * components, type.bitSize * components, type.alignment);
         this.mComponents = components;
         this.mType = type;
     }
@@ -378,10 +380,10 @@ class Vector extends Type {
         /*
         /// #endif
         if (typeof value[Symbol.iterator] !== 'function') {
-            throw `ERROR: Cannot set the value of VectorType to an non-iterable instance of ${typeof value}`;
+            throw new KrudaTypeError(`Cannot set the value of VectorType to an non-iterable instance of ${typeof value}`);
         }
         if (value.length > this.mComponents) {
-            throw `ERROR: The number of components in the new value is higher than the ones in the vector.`
+            throw new KrudaBoundsError('The number of components in the new value is higher than the ones in the vector', value.length, this.mComponents + 1);
         }
         /// #if !_DEBUG
          */
@@ -509,3 +511,20 @@ export const I8Vec3 = newVectorType('I8Vec3', 3, Int8);
  * @type {Vector}
  */
 export const U8Vec3 = newVectorType('U8Vec3', 3, Uint8);
+
+/**
+ * @type {Vector}
+ */
+export const Vec4 = newVectorType('Vec4', 4, Float32);
+
+/**
+ * 3x3 matrix of Float32 components, same as `Types.array(Float32, 9)`.
+ * @type {_Array}
+ */
+export const Mat3 = array(Float32, 9);
+
+/**
+ * 4x4 matrix of Float32 components, same as `Types.array(Float32, 16)`.
+ * @type {_Array}
+ */
+export const Mat4 = array(Float32, 16);
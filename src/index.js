@@ -29,29 +29,59 @@ import * as _Types from './core/Types';
  * @property {Class<typeByName>} typeByName
  * @property {Class<sizeof>} sizeof
  * @property {Class<isType>} isType
+ * @property {Class<isStructType>} isStructType
+ * @property {Class<struct>} struct
+ * @property {Class<isArrayType>} isArrayType
+ * @property {Class<array>} array
+ * @property {Class<isDecimalType>} isDecimalType
+ * @property {Class<decimal>} decimal
  *
  * @property {Class<Type>} Type
  *
  * @property {_Int8} Int8
  * @property {_Int16} Int16
  * @property {_Int32} Int32
+ * @property {_Int64} Int64
  *
  * @property {_Uint8} Uint8
  * @property {_Uint16} Uint16
  * @property {_Uint32} Uint32
+ * @property {_Uint64} Uint64
  *
  * @property {_Float32} Float32
+ * @property {_Float64} Float64
+ *
+ * @property {_Bool} Bool
+ * @property {_Timestamp} Timestamp
  *
  * @property {_Void} Void
  */
 export const Types = _Types;
 
 export {Heap} from './core/Heap';
+export {SegmentedHeap} from './core/SegmentedHeap';
+export {Arena} from './core/Arena';
 export {MemoryBlock} from './core/MemoryBlock';
 export {Pointer} from './core/Pointer';
 export {Atomize} from './core/Atomize';
+export {Mutex} from './core/Mutex';
+export {Semaphore} from './core/Semaphore';
+export {Barrier} from './core/Barrier';
+export {ConditionVariable} from './core/ConditionVariable';
+export {
+    KrudaError,
+    KrudaOutOfMemoryError,
+    KrudaMemoryError,
+    KrudaBoundsError,
+    KrudaSchemaError,
+    KrudaTypeError,
+    KrudaNotImplementedError,
+} from './core/Errors';
 
 export {ByteString} from './data/types/ByteString';
+export {Category} from './data/types/Category';
+export {Text} from './data/types/Text';
+export {Vec2, Vec3, Vec4, Mat3, Mat4} from './data/types/Vectors';
 
 export {DSBINLoader} from './DSBIN/DSBINLoader';
 
@@ -59,12 +89,17 @@ export {Table} from './data/table/Table';
 export {Header} from './data/table/Header';
 export {Column} from './data/table/Column';
 export {Row} from './data/table/Row';
+export {PartitionedTable} from './data/table/PartitionedTable';
+export {PartitionedRow} from './data/table/PartitionedRow';
+export {StridedView} from './data/table/StridedView';
+export {RingBuffer} from './data/stream/RingBuffer';
 
 export {Filter} from './data/filter/Filter';
 export {FilterOperation} from './data/filter/FilterOperation';
+export {FilterDatePart} from './data/filter/FilterDatePart';
 export {FilterExpressionMode} from './data/filter/FilterExpressionMode';
 
-export {kBinaryTypes, kBinaryTypeMap} from './data/types/TypeEnums';
+export {kBinaryTypes, kBinaryTypeMap, registerBinaryType, binaryTypeFromIndex} from './data/types/TypeEnums';
 export {tableFromLocalCSV, tableFromRemoteCSV} from './data/loaders/csv';
 export {coreCount} from './utils/CoreCount';
 
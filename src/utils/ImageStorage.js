@@ -0,0 +1,85 @@
+/*
+ * Copyright (c) 2019 Uncharted Software Inc.
+ * http://www.uncharted.software/
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Checks if the code is running in node.js
+ * @return {boolean}
+ * @private
+ */
+function isNode() {
+    return typeof process !== 'undefined' && Boolean(process.versions) && Boolean(process.versions.node);
+}
+
+/**
+ * Gets a handle to the file with the specified name in the origin private file system (OPFS) of the browser.
+ * @param {string} name - The name of the file.
+ * @param {boolean} create - Should the file be created if it does not exist.
+ * @return {Promise<FileSystemFileHandle>}
+ * @private
+ */
+async function opfsFileHandle(name, create) {
+    const root = await navigator.storage.getDirectory();
+    return root.getFileHandle(name, { create });
+}
+
+/**
+ * Writes the specified bytes to persistent storage.
+ * When running in node.js `destination` is a file path, in the browser it is either the name of a file in the origin
+ * private file system (OPFS) or a `FileSystemFileHandle`.
+ * @param {string|FileSystemFileHandle} destination - Where to write the bytes.
+ * @param {Uint8Array} bytes - The bytes to write.
+ * @return {Promise<void>}
+ */
+export async function writeImageFile(destination, bytes) {
+    if (typeof destination === 'string' && isNode()) {
+        await require('fs').promises.writeFile(destination, bytes); // eslint-disable-line global-require
+        return;
+    }
+
+    const handle = typeof destination === 'string' ? await opfsFileHandle(destination, true) : destination;
+    const writable = await handle.createWritable();
+    await writable.write(bytes);
+    await writable.close();
+}
+
+/**
+ * Reads the contents of a file previously written with `writeImageFile`.
+ * When running in node.js a string `source` is a file path, in the browser it is the name of a file in the origin
+ * private file system (OPFS). `FileSystemFileHandle`, `Blob` and `File` instances are also accepted.
+ * @param {string|FileSystemFileHandle|Blob|ArrayBuffer} source - Where to read the bytes from.
+ * @return {Promise<ArrayBuffer>}
+ */
+export async function readImageFile(source) {
+    if (source instanceof ArrayBuffer) {
+        return source;
+    }
+
+    if (typeof source === 'string' && isNode()) {
+        const data = await require('fs').promises.readFile(source); // eslint-disable-line global-require
+        return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    }
+
+    const handle = typeof source === 'string' ? await opfsFileHandle(source, false) : source;
+    const blob = typeof handle.getFile === 'function' ? await handle.getFile() : handle;
+    return blob.arrayBuffer();
+}
@@ -1,12 +1,19 @@
 import {Heap} from '../core/Heap';
 import {MemoryBlock} from '../core/MemoryBlock';
 import {Table} from '../data/table/Table';
+import {PartitionedTable} from '../data/table/PartitionedTable';
+import {Mutex} from '../core/Mutex';
+import {Semaphore} from '../core/Semaphore';
+import {Barrier} from '../core/Barrier';
+import {ConditionVariable} from '../core/ConditionVariable';
+import {RingBuffer} from '../data/stream/RingBuffer';
 
 /* ---- ---- ---- ---- */
 /**
  * @typedef HeapSerialized
  * @type {Object}
  * @property {ArrayBuffer} buffer
+ * @property {WebAssembly.Memory|null} memory
  */
 
 /**
@@ -17,6 +24,7 @@ import {Table} from '../data/table/Table';
 export function serializeHeap(heap) {
     return {
         buffer: heap.buffer,
+        memory: heap.webAssemblyMemory,
     };
 }
 
@@ -26,7 +34,7 @@ export function serializeHeap(heap) {
  * @returns {Heap}
  */
 export function deserializeHeap(descriptor) {
-    return new Heap(descriptor.buffer);
+    return new Heap(descriptor.memory || descriptor.buffer);
 }
 
 
@@ -67,15 +75,22 @@ export function deserializeMemoryBlock(descriptor) {
 /**
  * @typedef TableSerialized
  * @type {Object}
- * @property {MemoryBlockSerialized} memory
+ * @property {MemoryBlockSerialized=} memory
+ * @property {TableSerialized[]=} partitions
  */
 
 /**
- * Utility function to serialize a table to be sent to another thread.
- * @param {Table} table - Heap to serialize
+ * Utility function to serialize a table to be sent to another thread. Partitioned tables are serialized as a list of
+ * serialized partitions.
+ * @param {Table|PartitionedTable} table - Heap to serialize
  * @returns {TableSerialized}
  */
 export function serializeTable(table) {
+    if (table instanceof PartitionedTable) {
+        return {
+            partitions: table.partitions.map(serializeTable),
+        };
+    }
     return {
         memory: serializeMemoryBlock(table.memory),
     };
@@ -84,8 +99,93 @@ export function serializeTable(table) {
 /**
  * Utility function to deserialize a table
  * @param {TableSerialized} descriptor - Description to deserialize
- * @returns {Table}
+ * @returns {Table|PartitionedTable}
  */
 export function deserializeTable(descriptor) {
+    if (descriptor.partitions) {
+        return new PartitionedTable(descriptor.partitions.map(deserializeTable));
+    }
     return new Table(deserializeMemoryBlock(descriptor.memory));
 }
+
+
+/* ---- ---- ---- ---- */
+/**
+ * Synchronization primitive classes by name.
+ * @type {Map<string, Function>}
+ * @private
+ */
+const kSyncPrimitiveClasses = new Map([
+    ['Mutex', Mutex],
+    ['Semaphore', Semaphore],
+    ['Barrier', Barrier],
+    ['ConditionVariable', ConditionVariable],
+]);
+
+/**
+ * @typedef SyncPrimitiveSerialized
+ * @type {Object}
+ * @property {string} type
+ * @property {MemoryBlockSerialized} memory
+ * @property {number} address
+ */
+
+/**
+ * Utility function to serialize a synchronization primitive to be sent to another thread.
+ * @param {Mutex|Semaphore|Barrier|ConditionVariable} primitive - The synchronization primitive to serialize.
+ * @returns {SyncPrimitiveSerialized}
+ */
+export function serializeSyncPrimitive(primitive) {
+    let type = null;
+    kSyncPrimitiveClasses.forEach((PrimitiveClass, name) => {
+        if (primitive instanceof PrimitiveClass) {
+            type = name;
+        }
+    });
+
+    return {
+        type,
+        memory: serializeMemoryBlock(primitive.memory),
+        address: primitive.address,
+    };
+}
+
+/**
+ * Utility function to deserialize a synchronization primitive
+ * @param {SyncPrimitiveSerialized} descriptor - Description of the synchronization primitive to deserialize.
+ * @returns {Mutex|Semaphore|Barrier|ConditionVariable}
+ */
+export function deserializeSyncPrimitive(descriptor) {
+    const PrimitiveClass = kSyncPrimitiveClasses.get(descriptor.type);
+    return new PrimitiveClass(deserializeMemoryBlock(descriptor.memory), descriptor.address);
+}
+
+
+/* ---- ---- ---- ---- */
+/**
+ * @typedef RingBufferSerialized
+ * @type {Object}
+ * @property {MemoryBlockSerialized} control
+ * @property {TableSerialized} table
+ */
+
+/**
+ * Utility function to serialize a ring buffer to be sent to another thread.
+ * @param {RingBuffer} ringBuffer - The ring buffer to serialize.
+ * @returns {RingBufferSerialized}
+ */
+export function serializeRingBuffer(ringBuffer) {
+    return {
+        control: serializeMemoryBlock(ringBuffer.memory),
+        table: serializeTable(ringBuffer.table),
+    };
+}
+
+/**
+ * Utility function to deserialize a ring buffer
+ * @param {RingBufferSerialized} descriptor - Description of the ring buffer to deserialize.
+ * @returns {RingBuffer}
+ */
+export function deserializeRingBuffer(descriptor) {
+    return new RingBuffer(deserializeMemoryBlock(descriptor.control), deserializeTable(descriptor.table));
+}